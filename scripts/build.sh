@@ -26,17 +26,37 @@ cp -r "$SRC_DIR"/* "$DIST_DIR/firefox/"
 # Firefox MV3 uses background.scripts instead of service_worker
 # Patch manifest for Firefox compatibility
 python3 - "$DIST_DIR/firefox/manifest.json" << 'PYEOF'
-import json, sys
+import json, os, posixpath, re, sys
 
 manifest_path = sys.argv[1]
 with open(manifest_path, "r") as f:
     manifest = json.load(f)
 
 # Firefox MV3 supports service_worker since v109,
-# but also supports background.scripts — use scripts for broader compat
+# but also supports background.scripts — use scripts for broader compat.
+# Background pages have no importScripts(), so the shared files the
+# worker imports are loaded as scripts ahead of it.
 if "background" in manifest and "service_worker" in manifest["background"]:
     sw = manifest["background"]["service_worker"]
-    manifest["background"] = {"scripts": [sw]}
+    with open(os.path.join(os.path.dirname(manifest_path), sw), "r") as f:
+        imports = re.search(r"importScripts\(([^)]*)\)", f.read())
+    shared = []
+    if imports:
+        for path in re.findall(r"[\"']([^\"']+)[\"']", imports.group(1)):
+            shared.append(posixpath.normpath(posixpath.join(posixpath.dirname(sw), path)))
+    manifest["background"] = {"scripts": shared + [sw]}
+
+# Firefox's side panel is a sidebar_action, opened from the View menu,
+# the sidebar button or the popup's "Open in side panel" button
+if "side_panel" in manifest:
+    panel = manifest.pop("side_panel")
+    manifest["permissions"] = [p for p in manifest["permissions"] if p != "sidePanel"]
+    manifest["sidebar_action"] = {
+        "default_panel": panel["default_path"],
+        "default_title": manifest["name"],
+        "default_icon": manifest["action"]["default_icon"],
+        "open_at_install": False,
+    }
 
 with open(manifest_path, "w") as f:
     json.dump(manifest, f, indent=2)
@@ -3,27 +3,111 @@
 /**
  * GitHub Extractor — Background Service Worker
  *
- * Works on any GitHub page — the extension is universal.
+ * Works on any GitHub page — the extension is universal — including
+ * GitHub Enterprise hosts added in the options page.
  */
 
-function isGitHub(url) {
-  return /^https:\/\/github\.com\//.test(url);
+// Firefox loads these through background.scripts instead (see build.sh)
+if (typeof importScripts === "function") {
+  importScripts("../shared/settings.js", "../shared/hosts.js");
 }
 
-function updateBadge(tabId, url) {
-  if (isGitHub(url)) {
-    chrome.action.setTitle({
-      title: "GitHub Extractor — Click to extract items",
+async function getGitHubHosts() {
+  return (await loadSettings()).githubHosts;
+}
+
+async function isGitHub(url) {
+  return isGitHubUrl(url, await getGitHubHosts());
+}
+
+// ---- Toolbar Badge ----
+//
+// Content scripts report how many items their page has (see "Live Item
+// Count" in content.js); the badge shows it in a colour per page type.
+
+const BADGE_COLORS = {
+  detail: "#238636",
+  issueOrPr: "#238636",
+  milestonesList: "#8957e5",
+  milestone: "#8957e5",
+  projects: "#8957e5",
+  discussions: "#1f6feb",
+  releases: "#1f6feb",
+  tags: "#1f6feb",
+  branches: "#9e6a03",
+  commits: "#9e6a03",
+  actions: "#9e6a03",
+  packages: "#bf3989",
+  repositories: "#0969da",
+  gists: "#0969da",
+  generic: "#6e7681",
+};
+
+// tabId → last report; lost when the worker stops, then rebuilt as
+// content scripts report again
+const itemCounts = new Map();
+
+function formatBadgeCount(count) {
+  if (count === 0) return "";
+  return count > 999 ? "999+" : String(count);
+}
+
+async function updateBadge(tabId, url) {
+  try {
+    await setBadge(tabId, url);
+  } catch {
+    // tab closed or navigated away meanwhile
+  }
+}
+
+async function setBadge(tabId, url) {
+  if (!(await isGitHub(url))) {
+    await Promise.all([
+      chrome.action.setBadgeText({ text: "", tabId }),
+      chrome.action.setTitle({
+        title: "GitHub Extractor — Navigate to a GitHub page",
+        tabId,
+      }),
+    ]);
+    return;
+  }
+
+  // A report for an earlier URL is stale until the page reports again
+  const report = itemCounts.get(tabId);
+  if (report?.url !== url) {
+    await Promise.all([
+      chrome.action.setBadgeText({ text: "", tabId }),
+      chrome.action.setTitle({
+        title: "GitHub Extractor — Click to extract items",
+        tabId,
+      }),
+    ]);
+    return;
+  }
+
+  const { count, pageType, pageLabel } = report;
+  await Promise.all([
+    chrome.action.setBadgeText({ text: formatBadgeCount(count), tabId }),
+    chrome.action.setBadgeBackgroundColor({
+      color: BADGE_COLORS[pageType] || BADGE_COLORS.generic,
       tabId,
-    });
-  } else {
+    }),
+    chrome.action.setBadgeTextColor?.({ color: "#ffffff", tabId }),
     chrome.action.setTitle({
-      title: "GitHub Extractor — Navigate to github.com",
+      title: `GitHub Extractor — ${count} ${count === 1 ? "item" : "items"} (${pageLabel}) — Click to extract`,
       tabId,
-    });
-  }
+    }),
+  ]);
 }
 
+chrome.runtime.onMessage.addListener((message, sender) => {
+  if (message.action !== "itemCount" || !sender.tab?.id || sender.frameId !== 0) return;
+
+  const { count, pageType, pageLabel, url } = message;
+  itemCounts.set(sender.tab.id, { count, pageType, pageLabel, url });
+  updateBadge(sender.tab.id, url);
+});
+
 chrome.tabs.onActivated.addListener(async ({ tabId }) => {
   try {
     const tab = await chrome.tabs.get(tabId);
@@ -38,3 +122,142 @@ chrome.tabs.onUpdated.addListener((tabId, changeInfo) => {
     updateBadge(tabId, changeInfo.url);
   }
 });
+
+chrome.tabs.onRemoved.addListener((tabId) => itemCounts.delete(tabId));
+
+// ---- Keyboard Shortcuts ----
+
+chrome.commands.onCommand.addListener(async (command, tab) => {
+  if (command === "open-popup-filter") {
+    // Flag first, then open: openPopup() must run inside the user gesture,
+    // so it can't wait for the write
+    const flagged = chrome.storage.session.set({ focusFilter: true });
+    try {
+      if (!chrome.action.openPopup) throw new Error("openPopup() is not supported");
+      await chrome.action.openPopup();
+      await flagged;
+    } catch {
+      // No popup opened (unsupported, or e.g. devtools focused); don't leave
+      // the flag for the next time the popup is opened by hand
+      await Promise.allSettled([flagged]);
+      await chrome.storage.session.remove("focusFilter");
+    }
+    return;
+  }
+
+  const actions = {
+    "copy-page-items": "copyPageItems",
+    "copy-current-link": "copyCurrentLink",
+  };
+  if (!actions[command]) return;
+
+  if (!tab) {
+    [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+  }
+  if (!tab?.id || !(await isGitHub(tab.url))) return;
+
+  try {
+    await chrome.tabs.sendMessage(tab.id, { action: actions[command] });
+  } catch {
+    // content script not loaded (tab opened before the extension was)
+  }
+});
+
+// ---- Context Menu ----
+
+// Menu item id → variant understood by contextCopy() in content.js
+const CONTEXT_MENU_ITEMS = [
+  { id: "copy-link-rich", variant: "rich", title: "Copy as rich link", contexts: ["link"] },
+  { id: "copy-link-markdown", variant: "markdown", title: "Copy as Markdown", contexts: ["link"] },
+  { id: "copy-link-reference", variant: "reference", title: "Copy as short reference (owner/repo#123)", contexts: ["link"] },
+  { id: "copy-selection-links", variant: "selection", title: "Copy selection of links", contexts: ["selection"] },
+];
+
+async function createContextMenus() {
+  const patterns = getHostMatchPatterns(await getGitHubHosts());
+
+  chrome.contextMenus.removeAll(() => {
+    for (const { id, title, contexts } of CONTEXT_MENU_ITEMS) {
+      chrome.contextMenus.create({
+        id,
+        title,
+        contexts,
+        documentUrlPatterns: patterns,
+        ...(contexts.includes("link") ? { targetUrlPatterns: patterns } : {}),
+      });
+    }
+  });
+}
+
+chrome.contextMenus.onClicked.addListener(async (info, tab) => {
+  const item = CONTEXT_MENU_ITEMS.find((i) => i.id === info.menuItemId);
+  if (!item || !tab?.id) return;
+
+  try {
+    await chrome.tabs.sendMessage(
+      tab.id,
+      {
+        action: "contextCopy",
+        variant: item.variant,
+        linkUrl: info.linkUrl,
+        linkText: info.linkText,
+      },
+      { frameId: info.frameId ?? 0 }
+    );
+  } catch {
+    // content script not loaded (tab opened before the extension was)
+  }
+});
+
+// ---- GitHub Enterprise Hosts ----
+//
+// github.com is covered by the manifest. Extra hosts get the same content
+// scripts through a dynamic registration, limited to the hosts whose
+// optional permission the user granted in the options page.
+
+let hostSync = Promise.resolve();
+
+async function registerHostContentScripts() {
+  const hosts = (await getGitHubHosts()).filter((origin) => origin !== GITHUB_COM_ORIGIN);
+  const granted = [];
+  for (const pattern of getHostMatchPatterns(hosts)) {
+    if (await chrome.permissions.contains({ origins: [pattern] })) granted.push(pattern);
+  }
+
+  const existing = await chrome.scripting.getRegisteredContentScripts({
+    ids: [HOSTS_CONTENT_SCRIPT_ID],
+  });
+  if (existing.length > 0) {
+    await chrome.scripting.unregisterContentScripts({ ids: [HOSTS_CONTENT_SCRIPT_ID] });
+  }
+  if (granted.length === 0) return;
+
+  const [manifestScripts] = chrome.runtime.getManifest().content_scripts;
+  await chrome.scripting.registerContentScripts([
+    {
+      id: HOSTS_CONTENT_SCRIPT_ID,
+      matches: granted,
+      js: manifestScripts.js,
+      runAt: manifestScripts.run_at,
+      persistAcrossSessions: true,
+    },
+  ]);
+}
+
+/**
+ * Re-applies hosts to content scripts and menus. Calls are queued so
+ * overlapping triggers (settings save + permission grant) don't race.
+ */
+function syncHosts() {
+  hostSync = hostSync
+    .then(() => Promise.all([registerHostContentScripts(), createContextMenus()]))
+    .catch((err) => console.error("GitHub Extractor: could not apply hosts", err));
+  return hostSync;
+}
+
+chrome.runtime.onInstalled.addListener(syncHosts);
+chrome.permissions.onAdded.addListener(syncHosts);
+chrome.permissions.onRemoved.addListener(syncHosts);
+onSettingsChanged((patch) => {
+  if ("githubHosts" in patch) syncHosts();
+});
@@ -8,7 +8,9 @@
  * Milestones, Search results, Discussions, Commits, etc.
  *
  * Strategy:
- *   1. Try page-specific extractors first (most accurate)
+ *   1. Try the extractor rule matching the page first (most accurate;
+ *      rules live in shared/rules.js and can be extended by the user).
+ *      On a PR or issue page this reads the single record in detail.
  *   2. Fall back to generic extraction (finds prominent links in lists)
  */
 
@@ -16,7 +18,7 @@
 // Extraction Engine
 // ============================================================
 
-function extractLinks(doc, selectors, hrefPattern) {
+function extractLinks(doc, selectors, hrefPattern, enrich) {
   const seen = new Set();
   const items = [];
 
@@ -30,10 +32,13 @@ function extractLinks(doc, selectors, hrefPattern) {
       if (!title) continue;
 
       seen.add(href);
+      const url = new URL(href, window.location.origin).href;
       items.push({
         title,
-        url: new URL(href, window.location.origin).href,
+        url,
         number: extractNumber(href),
+        ...getUrlRepo(url),
+        ...(enrich ? enrich(link) : {}),
       });
     }
   }
@@ -42,215 +47,236 @@ function extractLinks(doc, selectors, hrefPattern) {
 }
 
 function extractNumber(href) {
-  const match = href.match(/\/(?:pull|issues)\/(\d+)/);
+  // A commit inside a PR (/pull/42/commits/<sha>) isn't the PR itself
+  const match = href.match(/\/(?:pull|issues)\/(\d+)(?!\d|\/commits?\/)/);
   return match ? `#${match[1]}` : null;
 }
 
-// ---- Page-Specific Extractors ----
-
-const EXTRACTORS = {
-  issueOrPr(doc) {
-    return extractLinks(
-      doc,
-      [
-        // Legacy selectors
-        '[id^="issue_"] .Link--primary',
-        '[id^="issue_"] a.markdown-title',
-        '[id^="issue_"] a.js-navigation-open',
-        '.js-issue-row .Link--primary',
-        '.js-issue-row a.markdown-title',
-        '.js-issue-row a.js-navigation-open',
-        // React-based UI
-        '[data-testid="issue-row"] a[data-testid="issue-title-link"]',
-        '[data-testid="list-row"] a[data-testid="issue-title-link"]',
-        '[data-testid="list-row"] a[data-testid="pull-request-title-link"]',
-        '.js-navigation-container .Link--primary[href*="/pull/"]',
-        '.js-navigation-container .Link--primary[href*="/issues/"]',
-        '.js-issue-row a[data-hovercard-type="pull_request"]',
-        '.js-issue-row a[data-hovercard-type="issue"]',
-        '.listRow a.Link--primary[href*="/issues/"]',
-        '.listRow a.Link--primary[href*="/pull/"]',
-        'div[data-id] a.Link--primary[href*="/issues/"]',
-        'div[data-id] a.Link--primary[href*="/pull/"]',
-        // Broad fallback for markdown-title links
-        'a.markdown-title[href*="/pull/"]',
-        'a.markdown-title[href*="/issues/"]',
-        'a.js-navigation-open[href*="/pull/"]',
-        'a.js-navigation-open[href*="/issues/"]',
-      ],
-      /\/(pull|issues)\/\d+/
-    );
-  },
+// ---- Row Fields ----
+//
+// Readers for the field types of shared/rules.js. Each gets the row
+// (the rule's container around a title link, or the page for a record
+// rule) and the field's spec.
 
-  milestone(doc) {
-    return extractLinks(
-      doc,
-      [
-        // Milestone page title links (multiple class combos)
-        '[id^="issue_"] a.markdown-title',
-        '[id^="issue_"] a.js-navigation-open',
-        '[id^="issue_"] .Link--primary',
-        '.js-issue-row a.markdown-title',
-        '.js-issue-row a.js-navigation-open',
-        '.js-issue-row .Link--primary',
-        // React-based selectors
-        '[data-testid="issue-row"] a[data-testid="issue-title-link"]',
-        '[data-testid="list-row"] a[data-testid="issue-title-link"]',
-        '[data-testid="list-row"] a[data-testid="pull-request-title-link"]',
-        'div[data-id] a.Link--primary[href*="/issues/"]',
-        'div[data-id] a.Link--primary[href*="/pull/"]',
-        // Broad: any link to a PR/issue inside the milestone list
-        'a.markdown-title[href*="/pull/"]',
-        'a.markdown-title[href*="/issues/"]',
-        'a.js-navigation-open[href*="/pull/"]',
-        'a.js-navigation-open[href*="/issues/"]',
-      ],
-      /\/(pull|issues)\/\d+/
-    );
-  },
+function queryFirst(root, selectors) {
+  for (const selector of selectors) {
+    const el = root.querySelector(selector);
+    if (el) return el;
+  }
+  return null;
+}
 
-  milestonesList(doc) {
-    return extractLinks(
-      doc,
-      [
-        "a.Link--primary[href*='/milestone/']",
-        "a[href*='/milestone/'].Link--primary",
-      ],
-      /\/milestone\//
-    );
-  },
+function queryAll(root, selectors) {
+  const found = new Set();
+  for (const selector of selectors) {
+    for (const el of root.querySelectorAll(selector)) found.add(el);
+  }
+  return [...found];
+}
 
-  projects(doc) {
-    return extractLinks(
-      doc,
-      [
-        "a.Link--primary[href*='/projects/']",
-        "a[href*='/projects/'].Link--primary",
-      ],
-      /\/projects\//
-    );
-  },
+function detectRowState(row, iconMap = {}) {
+  const selectors = Object.keys(iconMap);
+  const icon = selectors.length > 0 ? row.querySelector(selectors.join(", ")) : null;
+  if (icon) {
+    for (const [selector, state] of Object.entries(iconMap)) {
+      if (icon.matches(selector)) return state;
+    }
+  }
 
-  repositories(doc) {
-    return extractLinks(
-      doc,
-      [
-        // User/org repo list
-        '[itemprop="name codeRepository"] a',
-        'a[itemprop="name codeRepository"]',
-        'h3 a[href*="/"][data-hovercard-type="repository"]',
-        // Repo list on profile tab
-        '#user-repositories-list h3 a',
-        '.org-repos h3 a',
-        // Search results
-        '.repo-list h3 a',
-        '.search-title a[href*="/"]',
-        // Starred repos
-        '.d-block h3 a[href*="/"]',
-        // Explore / trending
-        'article h3 a[href*="/"]',
-        'h3 a.Link[href*="/"]',
-        // Generic repo links with hovercard
-        'a[data-hovercard-type="repository"]',
-      ],
-      /^\/[^/]+\/[^/]+\/?$/
-    );
-  },
+  // React rows describe the state icon in its aria-label
+  for (const el of row.querySelectorAll("svg[aria-label], [role='img'][aria-label]")) {
+    const label = el.getAttribute("aria-label").toLowerCase();
+    if (label.includes("merged")) return "merged";
+    if (label.includes("draft")) return "draft";
+    if (label.includes("closed") || label.includes("not planned")) return "closed";
+    if (label.includes("open")) return "open";
+  }
 
-  releases(doc) {
-    return extractLinks(
-      doc,
-      [
-        '.release .Link--primary',
-        '[data-testid="release-card"] a.Link--primary',
-        '.Box-row h2 a',
-        'a[href*="/releases/tag/"]',
-      ],
-      /\/releases\/tag\//
-    );
-  },
+  return null;
+}
 
-  tags(doc) {
-    return extractLinks(
-      doc,
-      [
-        '.Box-row a.Link--primary[href*="/tree/"]',
-        '.Box-row h4 a',
-        'a.Link--primary[href*="/releases/tag/"]',
-      ],
-      null
-    );
-  },
+function parseLabelColor(el) {
+  const style = el.getAttribute("style") || "";
 
-  branches(doc) {
-    return extractLinks(
-      doc,
-      [
-        '.branch-name a',
-        'a[href*="/tree/"].branch-name',
-        '.Box-row a.Link--primary[href*="/tree/"]',
-      ],
-      /\/tree\//
-    );
-  },
+  const hex = style.match(/background(?:-color)?:\s*(#[0-9a-f]{6})\b/i);
+  if (hex) return hex[1].toLowerCase();
 
-  discussions(doc) {
-    return extractLinks(
-      doc,
-      [
-        'a[data-hovercard-type="discussion"]',
-        '.Link--primary[href*="/discussions/"]',
-      ],
-      /\/discussions\/\d+/
+  // Newer label markup passes the colour as --label-r/g/b custom properties
+  const rgb = style.match(
+    /--label-r:\s*(\d+);\s*--label-g:\s*(\d+);\s*--label-b:\s*(\d+)/
+  );
+  if (rgb) {
+    return (
+      "#" +
+      rgb
+        .slice(1, 4)
+        .map((n) => Number(n).toString(16).padStart(2, "0"))
+        .join("")
     );
-  },
+  }
 
-  commits(doc) {
-    return extractLinks(
-      doc,
-      [
-        'a.Link--primary[href*="/commit/"]',
-        '.js-commits-list-item a.Link--primary',
-        '.TimelineItem a.Link--primary[href*="/commit/"]',
-      ],
-      /\/commit\//
-    );
-  },
+  return null;
+}
 
-  actions(doc) {
-    return extractLinks(
-      doc,
-      [
-        '.Box-row a.Link--primary[href*="/actions/runs/"]',
-        'a[href*="/actions/runs/"].Link--primary',
-      ],
-      /\/actions\/runs\//
-    );
-  },
+function parseLogin(el) {
+  if (el.tagName === "IMG") {
+    // Ghost, bot and lazily rendered avatars can lack an alt text
+    return (el.getAttribute("alt") || "").replace(/^@/, "") || null;
+  }
+  let href = el.getAttribute("href") || "";
+  try {
+    href = decodeURIComponent(href);
+  } catch {
+    // A stray % in the query; match against it undecoded
+  }
+  const assignee = href.match(/assignee:([^+&\s]+)/);
+  if (assignee) return assignee[1];
+  return el.textContent.trim().replace(/^@/, "") || null;
+}
 
-  packages(doc) {
-    return extractLinks(
-      doc,
-      [
-        'a.Link--primary[href*="/packages/"]',
-      ],
-      /\/packages\//
-    );
-  },
+function parseRowDates(row, selectors) {
+  let createdAt = null;
+  let updatedAt = null;
+
+  for (const el of row.querySelectorAll(selectors.join(", "))) {
+    const datetime = el.getAttribute("datetime");
+    const context = (el.parentElement?.textContent || "").toLowerCase();
+    if (context.includes("updated")) {
+      updatedAt = updatedAt || datetime;
+    } else if (!createdAt) {
+      createdAt = datetime;
+    }
+  }
 
-  gists(doc) {
-    return extractLinks(
-      doc,
-      [
-        '.gist-snippet .Link--primary',
-        'a.Link--primary[href*="gist.github.com"]',
-        '.css-truncate a[href*="/"]',
-      ],
-      null
-    );
+  return { createdAt, updatedAt };
+}
+
+function readElementText(el, spec) {
+  return (spec.attribute ? el.getAttribute(spec.attribute) || "" : el.textContent).trim();
+}
+
+const FIELD_READERS = {
+  text(row, spec) {
+    const el = queryFirst(row, spec.selector);
+    return el ? readElementText(el, spec) || null : null;
+  },
+  number(row, spec) {
+    const el = queryFirst(row, spec.selector);
+    const value = el ? parseInt(readElementText(el, spec).replace(/\D/g, ""), 10) : NaN;
+    return Number.isNaN(value) ? null : value;
+  },
+  login(row, spec) {
+    const el = queryFirst(row, spec.selector);
+    return el ? parseLogin(el) : null;
+  },
+  logins(row, spec) {
+    return [...new Set(queryAll(row, spec.selector).map(parseLogin).filter(Boolean))];
+  },
+  labels(row, spec) {
+    return queryAll(row, spec.selector)
+      .map((el) => ({
+        name: (el.getAttribute("data-name") || el.textContent).trim(),
+        color: parseLabelColor(el),
+      }))
+      .filter((label) => label.name);
+  },
+  state(row, spec) {
+    return detectRowState(row, spec.map);
+  },
+  dates(row, spec) {
+    return parseRowDates(row, spec.selector);
+  },
+  links(row, spec) {
+    return extractLinks(row, spec.selector, spec.hrefPattern ? new RegExp(spec.hrefPattern) : null);
   },
 };
 
+/**
+ * Missing fields are null; a `dates` field sets createdAt/updatedAt.
+ */
+function readFields(row, fieldSpecs) {
+  const fields = {};
+  for (const [name, spec] of Object.entries(fieldSpecs)) {
+    const value = FIELD_READERS[spec.type](row, spec);
+    if (spec.type === "dates") {
+      Object.assign(fields, value);
+    } else {
+      fields[name] = value;
+    }
+  }
+  return fields;
+}
+
+/**
+ * Reads a rule's metadata fields from the row around a title link.
+ */
+function extractRowFields(link, rule) {
+  if (!rule?.fields || !rule.containers) return {};
+  const row = link.closest(rule.containers.join(", "));
+  return row ? readFields(row, rule.fields) : {};
+}
+
+/**
+ * State, labels, people, milestone, dates and comment count for a single
+ * PR/issue title link, e.g. one added to the basket from the page.
+ */
+function extractIssueRowMeta(link) {
+  return extractRowFields(link, getRule("issueOrPr"));
+}
+
+// ---- Rule-Driven Extractors ----
+//
+// Built-in rules live in shared/rules.js; user rules from the options
+// page are merged over them as they change.
+
+let extractorRules = BUILTIN_RULES;
+loadUserRules().then((userRules) => {
+  extractorRules = mergeRules(userRules);
+});
+onUserRulesChanged((userRules) => {
+  extractorRules = mergeRules(userRules);
+  lastListSignature = null;
+  scheduleItemCount();
+});
+
+function getRule(id, rules = extractorRules) {
+  return rules.find((rule) => rule.id === id) || null;
+}
+
+/**
+ * A record rule's single item: the page's own URL (without a sub-tab
+ * such as /files), its title text and fields. Empty when the title
+ * isn't there, so the usual fallbacks still apply.
+ */
+function extractRecord(doc, rule) {
+  const title = queryFirst(doc, rule.record)?.textContent.trim();
+  if (!title) return [];
+
+  const path = window.location.pathname;
+  const ownPath = path.match(/^\/[^/]+\/[^/]+\/(?:pull|issues)\/\d+/)?.[0] || path;
+  const root = (rule.containers && queryFirst(doc, rule.containers)) || doc;
+
+  return [
+    {
+      title,
+      url: window.location.origin + ownPath,
+      number: extractNumber(ownPath),
+      ...getUrlRepo(window.location.href),
+      ...(rule.fields ? readFields(root, rule.fields) : {}),
+    },
+  ];
+}
+
+function extractWithRule(doc, rule) {
+  if (rule.record) return extractRecord(doc, rule);
+  return extractLinks(
+    doc,
+    rule.title,
+    rule.hrefPattern ? new RegExp(rule.hrefPattern) : null,
+    rule.fields ? (link) => extractRowFields(link, rule) : null
+  );
+}
+
 // ---- Generic Fallback Extractor ----
 
 function genericExtract(doc) {
@@ -324,6 +350,7 @@ function genericExtract(doc) {
       title,
       url: fullUrl.href,
       number: extractNumber(href),
+      ...getUrlRepo(fullUrl.href),
     });
   }
 
@@ -332,75 +359,65 @@ function genericExtract(doc) {
 
 // ---- Page Detection ----
 
-const PAGE_RULES = [
-  { pattern: /\/milestones\/?$/, type: "milestonesList", label: "Milestones" },
-  { pattern: /\/milestone\/\d+/, type: "milestone", label: "Milestone" },
-  { pattern: /\/pulls\b/, type: "issueOrPr", label: "Pull Requests" },
-  { pattern: /\/issues\b/, type: "issueOrPr", label: "Issues" },
-  { pattern: /\/projects\b/, type: "projects", label: "Projects" },
-  { pattern: /\/discussions\b/, type: "discussions", label: "Discussions" },
-  { pattern: /\/releases\b/, type: "releases", label: "Releases" },
-  { pattern: /\/tags\b/, type: "tags", label: "Tags" },
-  { pattern: /\/branches\b/, type: "branches", label: "Branches" },
-  { pattern: /\/commits\b/, type: "commits", label: "Commits" },
-  { pattern: /\/actions\b/, type: "actions", label: "Actions" },
-  { pattern: /\/packages\b/, type: "packages", label: "Packages" },
-  { pattern: /\?tab=repositories/, type: "repositories", label: "Repositories" },
-  { pattern: /\/orgs\/[^/]+\/repositories/, type: "repositories", label: "Repositories" },
-  { pattern: /\/search/, type: null, label: "Search Results" },
-  { pattern: /\/trending/, type: "repositories", label: "Trending" },
-  { pattern: /\/explore/, type: "repositories", label: "Explore" },
-  { pattern: /\/stars/, type: "repositories", label: "Stars" },
-  { pattern: /gist\.github\.com/, type: "gists", label: "Gists" },
-];
-
-function detectPage() {
-  const path = window.location.pathname;
-  const search = window.location.search;
-  const full = path + search;
-
-  for (const rule of PAGE_RULES) {
-    if (rule.pattern.test(full)) {
-      return { type: rule.type, label: rule.label };
-    }
+function detectPage(rules = extractorRules) {
+  const match = findPageRule(rules, window.location.pathname + window.location.search);
+  if (match) {
+    // Rules without title selectors only name the page (e.g. search)
+    return {
+      type: match.rule.title || match.rule.record ? match.rule.id : null,
+      label: match.label,
+      rule: match.rule,
+    };
   }
 
   // Any GitHub page — use generic
-  return { type: null, label: "Items" };
+  return { type: null, label: "Items", rule: null };
 }
 
+/**
+ * The page's own owner/repo. Search, notifications, the dashboard and
+ * other feature pages have none; a user or org page has only an owner.
+ * Items carry their own owner/repo, so lists spanning repositories don't
+ * depend on this.
+ */
 function getContextInfo() {
-  const match = window.location.pathname.match(/^\/([^/]+)(?:\/([^/]+))?/);
-  if (match) {
-    return {
-      owner: match[1] || "",
-      repo: match[2] || "",
-    };
-  }
-  return { owner: "", repo: "" };
-}
+  const { owner, repo } = getUrlRepo(window.location.href);
+  if (owner) return { owner, repo };
 
-function extractItems() {
-  const page = detectPage();
-  let items = [];
+  const profile = window.location.pathname.match(/^\/(?:orgs\/)?([^/]+)/)?.[1];
+  return { owner: profile && !RESERVED_OWNERS.has(profile) ? profile : "", repo: "" };
+}
 
-  // Try specific extractor first
-  if (page.type && EXTRACTORS[page.type]) {
-    items = EXTRACTORS[page.type](document);
+/**
+ * Runs the extractor chain against a document and reports which rule
+ * produced the items, so later pages can be read with the same one.
+ */
+function collectItems(doc, page, rules = extractorRules) {
+  // Try the page's own rule first
+  if (page.rule?.title || page.rule?.record) {
+    const items = extractWithRule(doc, page.rule);
+    if (items.length > 0) return { items, source: page.rule.id };
   }
 
-  // If specific extractor found nothing, try all extractors
-  if (items.length === 0) {
-    for (const key of Object.keys(EXTRACTORS)) {
-      items = EXTRACTORS[key](document);
-      if (items.length > 0) break;
-    }
+  // If it found nothing, try every list rule
+  for (const rule of rules) {
+    if (!rule.title) continue;
+    const items = extractWithRule(doc, rule);
+    if (items.length > 0) return { items, source: rule.id };
   }
 
   // Final fallback: generic extraction
-  if (items.length === 0) {
-    items = genericExtract(document);
-  }
+  return { items: genericExtract(doc), source: "generic" };
+}
+
+function runExtractor(doc, source) {
+  const rule = source === "generic" ? null : getRule(source);
+  return rule ? extractWithRule(doc, rule) : genericExtract(doc);
+}
+
+function extractItems() {
+  const page = detectPage();
+  const { items, source } = collectItems(document, page);
 
   if (items.length === 0) {
     return {
@@ -419,7 +436,201 @@ function extractItems() {
     pageLabel: page.label,
     repo: getContextInfo(),
     items,
+    // A single PR/issue rather than a list (the popup lays it out as such)
+    record: Boolean(page.rule?.record) && source === page.rule.id,
+    itemsSignature: getItemsSignature(items),
+    // Rule id, or "generic", the items came from; later pages use the same
+    source,
     url: window.location.href,
+    extractedAt: new Date().toISOString(),
+    hasNextPage: Boolean(findNextPageUrl(document, window.location.href)),
+  };
+}
+
+/**
+ * Options page "test against this tab": extracts the live page with a
+ * candidate set of user rules, without saving them.
+ */
+function previewExtractorRules(userRules) {
+  const rules = mergeRules(userRules);
+  const page = detectPage(rules);
+  const { items, source } = collectItems(document, page, rules);
+
+  return {
+    label: page.label,
+    pageRule: page.rule?.id || null,
+    source,
+    count: items.length,
+    items: items.slice(0, 20),
+  };
+}
+
+// ============================================================
+// Pagination — "Extract all pages"
+//
+// Follows GitHub's "Next" links (page numbers or after= cursors),
+// fetches each page with the user's session and runs the same
+// extractor that matched the live page against the parsed HTML.
+// ============================================================
+
+const MAX_PAGES = 50;
+const PAGE_FETCH_DELAY_MS = 300;
+
+const NEXT_PAGE_SELECTORS = [
+  'a[rel="next"]',
+  "a.next_page",
+  'a[aria-label="Next Page"]',
+  'a[aria-label="Next page"]',
+  'a[data-testid="pagination-next-button"]',
+];
+
+const PAGINATION_CONTAINERS = [
+  ".paginate-container",
+  ".pagination",
+  'nav[aria-label*="agination"]',
+];
+
+function findNextPageUrl(doc, currentUrl) {
+  const current = new URL(currentUrl);
+
+  const toUrl = (link) => {
+    const href = link?.getAttribute("href");
+    if (!href || href.startsWith("#")) return null;
+    if (link.getAttribute("aria-disabled") === "true") return null;
+    try {
+      const url = new URL(href, current);
+      if (url.origin !== current.origin || url.href === current.href) return null;
+      return url.href;
+    } catch {
+      return null;
+    }
+  };
+
+  // Explicit "next" links (numbered pages and cursor-based lists)
+  for (const selector of NEXT_PAGE_SELECTORS) {
+    const url = toUrl(doc.querySelector(selector));
+    if (url) return url;
+  }
+
+  // "Next" button text inside a pagination container (stars, repo lists)
+  for (const link of doc.querySelectorAll(
+    PAGINATION_CONTAINERS.map((c) => `${c} a`).join(", ")
+  )) {
+    if (/^next\b/i.test(link.textContent.trim())) {
+      const url = toUrl(link);
+      if (url) return url;
+    }
+  }
+
+  // Numbered pagination without a rel="next": look for ?page=N+1
+  const page = parseInt(current.searchParams.get("page") || "1", 10);
+  for (const link of doc.querySelectorAll('a[href*="page="]')) {
+    const url = toUrl(link);
+    if (!url) continue;
+    const candidate = new URL(url);
+    if (
+      candidate.pathname === current.pathname &&
+      parseInt(candidate.searchParams.get("page"), 10) === page + 1
+    ) {
+      return url;
+    }
+  }
+
+  return null;
+}
+
+function mergeItems(target, seen, items) {
+  let added = 0;
+  for (const item of items) {
+    if (seen.has(item.url)) continue;
+    seen.add(item.url);
+    target.push(item);
+    added++;
+  }
+  return added;
+}
+
+async function fetchPageDocument(url, signal) {
+  const response = await fetch(url, {
+    credentials: "same-origin",
+    headers: { Accept: "text/html" },
+    signal,
+  });
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status}`);
+  }
+  const html = await response.text();
+  return new DOMParser().parseFromString(html, "text/html");
+}
+
+function delay(ms, signal) {
+  return new Promise((resolve) => {
+    const onAbort = () => {
+      clearTimeout(timer);
+      resolve();
+    };
+    const timer = setTimeout(() => {
+      signal.removeEventListener("abort", onAbort);
+      resolve();
+    }, ms);
+    signal.addEventListener("abort", onAbort, { once: true });
+  });
+}
+
+/**
+ * Extracts the current page, then keeps following "Next" until there are
+ * no more pages, MAX_PAGES is reached, or the signal is aborted. Items are
+ * merged and deduped by URL; whatever was collected is returned even when
+ * the run is cancelled or a later page fails.
+ */
+async function extractAllPages(onProgress, signal) {
+  const first = extractItems();
+  if (!first.success) return first;
+
+  const { source } = first;
+  const items = [];
+  const seen = new Set();
+  const visited = new Set([window.location.href]);
+  mergeItems(items, seen, first.items);
+
+  let pages = 1;
+  let nextUrl = findNextPageUrl(document, window.location.href);
+  let error = null;
+
+  onProgress({ pages, total: items.length });
+
+  while (nextUrl && pages < MAX_PAGES && !visited.has(nextUrl)) {
+    await delay(PAGE_FETCH_DELAY_MS, signal);
+    if (signal.aborted) break;
+    visited.add(nextUrl);
+
+    let doc;
+    try {
+      doc = await fetchPageDocument(nextUrl, signal);
+    } catch (err) {
+      if (!signal.aborted) {
+        error = `Stopped at page ${pages + 1}: ${err.message}`;
+      }
+      break;
+    }
+
+    const pageItems = runExtractor(doc, source);
+    if (pageItems.length === 0) break;
+
+    pages++;
+    mergeItems(items, seen, pageItems);
+    onProgress({ pages, total: items.length });
+
+    nextUrl = findNextPageUrl(doc, nextUrl);
+  }
+
+  return {
+    ...first,
+    items,
+    pages,
+    hasNextPage: Boolean(nextUrl) && !visited.has(nextUrl),
+    cancelled: signal.aborted,
+    error,
   };
 }
 
@@ -432,6 +643,372 @@ chrome.runtime.onMessage.addListener((message, _sender, sendResponse) => {
   return true;
 });
 
+// ---- Keyboard Shortcuts ----
+//
+// The service worker forwards chrome.commands here because only the page
+// can reach the DOM and the clipboard.
+
+async function copyPageItems() {
+  const result = extractItems();
+  if (!result.success) {
+    showInlineToast(result.error);
+    return;
+  }
+
+  const output = renderOutput(result.items, settings.defaultFormat, {
+    withNumbers: settings.includeNumbers,
+    templates: await loadTemplates(),
+    changelogLabels: settings.changelogLabels,
+    spreadsheet: getSpreadsheetOptions(settings),
+    context: {
+      pageLabel: result.pageLabel,
+      owner: result.repo.owner,
+      repo: result.repo.repo,
+      url: result.url,
+    },
+  });
+
+  await writeClipboard(output.html, output.text);
+  showInlineToast(`Copied ${result.items.length} items as ${output.label}`);
+}
+
+const PAGE_TITLE_SELECTORS = [
+  "bdi.js-issue-title",
+  ".js-issue-title",
+  '[data-testid="issue-title"]',
+  ".gh-header-title .markdown-title",
+  "h1 bdi",
+];
+
+/**
+ * Title and canonical URL of the PR/issue being viewed (any tab of it,
+ * e.g. /pull/12/files), or of the page itself elsewhere.
+ */
+function getCurrentPageLink() {
+  const parsed = parseGitHubUrl(window.location.href);
+  const isItem = parsed && (parsed.kind === "pull" || parsed.kind === "issue");
+
+  let title = queryFirst(document, PAGE_TITLE_SELECTORS)?.textContent.trim();
+  if (!title) {
+    // "Title by author · Pull Request #12 · owner/repo"
+    title = document.title.split(" · ")[0].trim();
+    if (parsed?.kind === "pull") title = title.replace(/ by [\w-]+$/, "");
+  }
+
+  const url = isItem
+    ? `${window.location.origin}/${parsed.owner}/${parsed.repo}/${parsed.kind === "pull" ? "pull" : "issues"}/${parsed.id}`
+    : window.location.href.split("#")[0];
+
+  return { title, url, number: isItem ? `#${parsed.id}` : null };
+}
+
+async function copyCurrentLink() {
+  const { title, url, number } = getCurrentPageLink();
+  const displayText = number ? `${title} ${number}` : title;
+  await copyLink({ title, url, displayText }, "rich");
+}
+
+// ---- Context Menu ----
+//
+// Menu clicks only tell the service worker the link URL, so remember
+// which anchor was right-clicked to recover its title.
+
+let contextAnchor = null;
+
+document.addEventListener(
+  "contextmenu",
+  (e) => {
+    contextAnchor = e.target.closest?.("a[href]") || null;
+  },
+  { capture: true, passive: true }
+);
+
+function findContextLink(linkUrl, linkText) {
+  if (contextAnchor && contextAnchor.href === linkUrl) {
+    return getLinkInfo(contextAnchor);
+  }
+
+  const anchor = [...document.querySelectorAll("a[href]")].find(
+    (a) => a.href === linkUrl
+  );
+  if (anchor) return getLinkInfo(anchor);
+
+  const number = extractNumber(new URL(linkUrl).pathname);
+  const title = linkText?.trim() || linkUrl;
+  return { title, url: linkUrl, number, displayText: title };
+}
+
+/**
+ * Links that are at least partly inside the current text selection,
+ * limited to this GitHub instance and deduped by URL.
+ */
+function getSelectedLinks() {
+  const selection = window.getSelection();
+  const seen = new Set();
+  const items = [];
+
+  for (let i = 0; i < selection.rangeCount; i++) {
+    const range = selection.getRangeAt(i);
+    let root = range.commonAncestorContainer;
+    if (root.nodeType !== Node.ELEMENT_NODE) root = root.parentElement;
+    if (!root) continue;
+
+    const anchors = [root.closest("a[href]"), ...root.querySelectorAll("a[href]")];
+    for (const anchor of anchors) {
+      if (!anchor || !range.intersectsNode(anchor)) continue;
+
+      const href = anchor.getAttribute("href");
+      if (!href || href.startsWith("#")) continue;
+
+      const info = getLinkInfo(anchor);
+      const url = new URL(info.url);
+      if (!isGitHubLink(url)) continue;
+      if (SKIP_PATTERNS.some((p) => p.test(url.pathname))) continue;
+      if (!info.title || seen.has(info.url)) continue;
+
+      seen.add(info.url);
+      items.push({ title: info.title, url: info.url, number: info.number, ...getUrlRepo(info.url) });
+    }
+  }
+
+  return items;
+}
+
+async function contextCopy({ variant, linkUrl, linkText }) {
+  if (variant === "selection") {
+    const items = getSelectedLinks();
+    if (items.length === 0) {
+      showInlineToast("No GitHub links in the selection");
+      return;
+    }
+    const output = renderOutput(items, settings.defaultFormat, {
+      withNumbers: settings.includeNumbers,
+      templates: await loadTemplates(),
+      changelogLabels: settings.changelogLabels,
+      spreadsheet: getSpreadsheetOptions(settings),
+      context: { ...getContextInfo(), url: window.location.href },
+    });
+    await writeClipboard(output.html, output.text);
+    showInlineToast(`Copied ${items.length} links as ${output.label}`);
+    return;
+  }
+
+  await copyLink(findContextLink(linkUrl, linkText), variant);
+}
+
+chrome.runtime.onMessage.addListener((message, _sender, sendResponse) => {
+  const handlers = {
+    copyPageItems,
+    copyCurrentLink,
+    contextCopy,
+  };
+  const handler = handlers[message.action];
+  if (!handler) return false;
+
+  handler(message)
+    .then(() => sendResponse({ success: true }))
+    .catch((err) => {
+      showInlineToast(`Copy failed: ${err.message}`);
+      sendResponse({ success: false, error: err.message });
+    });
+  return true;
+});
+
+// Long-running "extract all pages" runs over a port so the popup can show
+// progress and cancel; closing the popup disconnects the port and aborts.
+chrome.runtime.onConnect.addListener((port) => {
+  if (port.name !== "extract-all-pages") return;
+
+  const controller = new AbortController();
+  port.onDisconnect.addListener(() => controller.abort());
+
+  const post = (message) => {
+    try {
+      port.postMessage(message);
+    } catch {
+      // popup closed mid-run
+    }
+  };
+
+  port.onMessage.addListener((message) => {
+    if (message.action === "cancel") {
+      controller.abort();
+      return;
+    }
+    if (message.action !== "start") return;
+
+    extractAllPages(
+      (progress) => post({ type: "progress", ...progress }),
+      controller.signal
+    )
+      .then((result) => post({ type: "done", result }))
+      .catch((err) =>
+        post({
+          type: "done",
+          result: { success: false, items: [], error: err.message },
+        })
+      );
+  });
+});
+
+// ============================================================
+// Live Item Count — toolbar badge
+//
+// GitHub swaps pages in place (Turbo, React soft navigation) and fills
+// lists in after load, so the content script never re-runs. Instead the
+// count is recomputed after navigation events and DOM changes, and sent
+// to the service worker whenever it differs from the last report.
+// ============================================================
+
+const ITEM_COUNT_DELAY_MS = 500;
+// Fired on document by Turbo, the older pjax and GitHub's React router
+const SOFT_NAV_EVENTS = ["turbo:load", "turbo:render", "pjax:end", "soft-nav:end"];
+
+let itemCountTimer = null;
+let lastItemCount = null;
+// What the observer watches: the counted list, or the whole page until a
+// list turns up; and the URL and links there at the last count
+let observedRoot = null;
+let lastListSignature = null;
+
+function reportItemCount() {
+  if (document.hidden) return;
+
+  // GitHub re-rendered the list element itself; look for it again
+  if (observedRoot && !observedRoot.isConnected) watchList(null);
+
+  // Counting runs the extractors; skip it while no link came or went
+  if (getListSignature() === lastListSignature) return;
+
+  const page = detectPage();
+  const { items, source } = collectItems(document, page);
+  watchList(items.length > 0 ? findListContainer(source) : null);
+  lastListSignature = getListSignature();
+  const report = {
+    action: "itemCount",
+    count: items.length,
+    pageType: page.type || "generic",
+    pageLabel: page.label,
+    url: window.location.href,
+    // A list that changed but kept its length must still read as changed
+    itemsSignature: getItemsSignature(items),
+  };
+
+  const key = JSON.stringify(report);
+  if (key === lastItemCount) return;
+  lastItemCount = key;
+
+  try {
+    chrome.runtime.sendMessage(report).catch(() => {
+      // service worker not listening yet
+    });
+  } catch {
+    // Extension reloaded — this copy of the script is orphaned
+    itemCountObserver.disconnect();
+  }
+}
+
+/**
+ * Coalesces bursts of mutations: the first change arms the timer and
+ * later ones ride along, so a busy page can't postpone the count forever.
+ */
+function scheduleItemCount() {
+  if (itemCountTimer) return;
+  itemCountTimer = setTimeout(() => {
+    itemCountTimer = null;
+    reportItemCount();
+  }, ITEM_COUNT_DELAY_MS);
+}
+
+function getListSignature() {
+  const links = (observedRoot || document.body).querySelectorAll("a[href]");
+  return `${window.location.href} ${hashStrings([...links].map((link) => link.href))}`;
+}
+
+// The popup compares it with the one from its last extraction
+function getItemsSignature(items) {
+  return hashStrings(items.map((item) => item.url));
+}
+
+// Short FNV-1a hash of the strings in order, with their count
+function hashStrings(strings) {
+  let hash = 0x811c9dc5;
+  for (const str of strings) {
+    for (let i = 0; i < str.length; i++) {
+      hash = Math.imul(hash ^ str.charCodeAt(i), 0x01000193);
+    }
+    hash = Math.imul(hash ^ 0x0a, 0x01000193);
+  }
+  return `${strings.length}:${(hash >>> 0).toString(36)}`;
+}
+
+/**
+ * The element around the rows the count came from: their closest common
+ * ancestor, or a lone row's parent. Null for the generic fallback, whose
+ * links can be anywhere on the page.
+ */
+function findListContainer(source) {
+  const rule = source === "generic" ? null : getRule(source);
+  const selectors = rule && (rule.title || rule.record);
+  if (!selectors) return null;
+
+  const rows = queryAll(document, selectors).map(
+    (link) => (rule.containers && link.closest(rule.containers.join(", "))) || link
+  );
+  if (rows.length === 0) return null;
+
+  let root = rows[0].parentElement;
+  while (root && !rows.every((row) => root.contains(row))) {
+    root = root.parentElement;
+  }
+  return root;
+}
+
+// Observes `root` (the page when null) instead of whatever it watched
+function watchList(root) {
+  const target = root || document.body;
+  if (target === observedRoot) return;
+
+  observedRoot = target;
+  itemCountObserver.disconnect();
+  itemCountObserver.observe(target, { childList: true, subtree: true });
+}
+
+// A navigation swaps the list out: watch the page until the next count
+// finds the new one
+function handleSoftNavigation() {
+  watchList(null);
+  scheduleItemCount();
+}
+
+// Our own hover buttons and toasts don't change what can be extracted
+function isOwnMutation(record) {
+  const ours = `.${INLINE_ACTIONS_CLASS}, .${TOAST_CLASS}`;
+  if (record.target.closest?.(ours)) return true;
+  return [...record.addedNodes, ...record.removedNodes].every((node) => node.matches?.(ours));
+}
+
+const itemCountObserver = new MutationObserver((records) => {
+  if (!records.every(isOwnMutation)) scheduleItemCount();
+});
+watchList(null);
+
+for (const type of SOFT_NAV_EVENTS) {
+  document.addEventListener(type, handleSoftNavigation);
+}
+window.addEventListener("popstate", handleSoftNavigation);
+
+// The badge may have been reset while the tab was in the background
+// (e.g. the service worker restarted), so report again when shown.
+document.addEventListener("visibilitychange", () => {
+  if (document.hidden) return;
+  lastItemCount = null;
+  lastListSignature = null;
+  scheduleItemCount();
+});
+
+scheduleItemCount();
+
 // ============================================================
 // Inline Copy Button — Injected Inline on Hover
 //
@@ -443,8 +1020,24 @@ chrome.runtime.onMessage.addListener((message, _sender, sendResponse) => {
 // no overlap issues — it flows naturally in the text.
 // ============================================================
 
+let settings = { ...DEFAULT_SETTINGS };
+loadSettings().then((stored) => {
+  settings = stored;
+});
+onSettingsChanged((patch) => {
+  settings = { ...settings, ...patch };
+});
+
+function isInlineButtonEnabled() {
+  const type = detectPage().type || "generic";
+  return !settings.disabledInlinePages.includes(type);
+}
+
 const COPY_BTN_CLASS = "ghpr-inline-copy";
+const INLINE_ACTIONS_CLASS = "ghpr-inline-actions";
 const TOAST_CLASS = "ghpr-toast";
+const MENU_BTN_CLASS = "ghpr-inline-more";
+const MENU_CLASS = "ghpr-inline-menu";
 
 const COPYABLE_PATTERNS = [
   /\/pull\/\d+/,
@@ -465,6 +1058,13 @@ const SKIP_PATTERNS = [
   /\.(png|jpg|svg|gif|ico|css|js)$/i,
 ];
 
+/**
+ * Links to this page's host or any other configured GitHub host.
+ */
+function isGitHubLink(url) {
+  return url.origin === window.location.origin || isGitHubUrl(url.href, settings.githubHosts);
+}
+
 function isCopyableLink(anchor) {
   const href = anchor.getAttribute("href");
   if (!href || href === "#" || href.startsWith("#")) return false;
@@ -476,7 +1076,7 @@ function isCopyableLink(anchor) {
     return false;
   }
 
-  if (url.origin !== window.location.origin) return false;
+  if (!isGitHubLink(url)) return false;
 
   const path = url.pathname;
   if (SKIP_PATTERNS.some((p) => p.test(path))) return false;
@@ -502,31 +1102,57 @@ function isCopyableLink(anchor) {
   return false;
 }
 
-function escapeHtml(str) {
-  return str
-    .replace(/&/g, "&amp;")
-    .replace(/</g, "&lt;")
-    .replace(/>/g, "&gt;")
-    .replace(/"/g, "&quot;");
+/**
+ * Copies one link as a LINK_VARIANTS variant (a rich link when the variant
+ * doesn't apply to it) and says in the toast what was copied.
+ */
+async function copyLink(link, variant) {
+  const output = renderLinkVariant(link, variant) || renderLinkVariant(link, "rich");
+  await writeClipboard(output.html, output.text);
+  showInlineToast(`Copied ${output.label}: ${output.html ? link.displayText : output.text}`);
 }
 
-function copyRichLink(displayText, url) {
-  const html = `<a href="${url}">${escapeHtml(displayText)}</a>`;
-  const markdown = `[${displayText}](${url})`;
-
-  const htmlBlob = new Blob([html], { type: "text/html" });
-  const textBlob = new Blob([markdown], { type: "text/plain" });
-
-  return navigator.clipboard.write([
-    new ClipboardItem({
-      "text/html": htmlBlob,
-      "text/plain": textBlob,
-    }),
-  ]);
+/**
+ * Writes text (and HTML when given) to the clipboard. The async Clipboard
+ * API needs a focused document with user activation, which keyboard
+ * shortcuts and context menus don't provide, so fall back to a "copy"
+ * command that fills the clipboard from its event.
+ */
+async function writeClipboard(html, text) {
+  try {
+    if (html) {
+      await navigator.clipboard.write([
+        new ClipboardItem({
+          "text/html": new Blob([html], { type: "text/html" }),
+          "text/plain": new Blob([text], { type: "text/plain" }),
+        }),
+      ]);
+    } else {
+      await navigator.clipboard.writeText(text);
+    }
+  } catch {
+    const onCopy = (e) => {
+      e.preventDefault();
+      e.clipboardData.setData("text/plain", text);
+      if (html) e.clipboardData.setData("text/html", html);
+    };
+    document.addEventListener("copy", onCopy, true);
+    try {
+      if (!document.execCommand("copy")) {
+        throw new Error("Clipboard is not available on this page.");
+      }
+    } finally {
+      document.removeEventListener("copy", onCopy, true);
+    }
+  }
 }
 
 const COPY_ICON_SVG = `<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><rect x="9" y="9" width="13" height="13" rx="2" ry="2"/><path d="M5 15H4a2 2 0 0 1-2-2V4a2 2 0 0 1 2-2h9a2 2 0 0 1 2 2v1"/></svg>`;
 
+const BASKET_ICON_SVG = `<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M5 9h14l-1.5 10.5a2 2 0 0 1-2 1.5h-7a2 2 0 0 1-2-1.5z"/><path d="M9 9l3-5 3 5"/><path d="M12 13v4M10 15h4"/></svg>`;
+
+const MENU_ICON_SVG = `<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2.5" stroke-linecap="round" stroke-linejoin="round"><polyline points="6 9 12 15 18 9"/></svg>`;
+
 const CHECK_ICON_SVG = `<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2.5" stroke-linecap="round" stroke-linejoin="round"><polyline points="20 6 9 17 4 12"/></svg>`;
 
 function injectStyles() {
@@ -535,6 +1161,15 @@ function injectStyles() {
   const style = document.createElement("style");
   style.id = "ghpr-inline-styles";
   style.textContent = `
+    .${INLINE_ACTIONS_CLASS} {
+      position: relative;
+      display: inline-flex;
+      align-items: center;
+      vertical-align: middle;
+    }
+    .${INLINE_ACTIONS_CLASS} .${COPY_BTN_CLASS} + .${COPY_BTN_CLASS} {
+      margin-left: 0;
+    }
     .${COPY_BTN_CLASS} {
       display: inline-flex;
       align-items: center;
@@ -571,6 +1206,56 @@ function injectStyles() {
       height: 13px;
       pointer-events: none;
     }
+    .${COPY_BTN_CLASS}.${MENU_BTN_CLASS} {
+      width: 16px;
+      margin-right: 4px;
+    }
+    .${COPY_BTN_CLASS}.${MENU_BTN_CLASS} svg {
+      width: 10px;
+      height: 10px;
+    }
+
+    .${MENU_CLASS} {
+      position: absolute;
+      top: 100%;
+      left: 4px;
+      z-index: 99999;
+      display: flex;
+      flex-direction: column;
+      min-width: 180px;
+      margin-top: 2px;
+      padding: 4px;
+      border: 1px solid rgba(139,148,158,0.3);
+      border-radius: 6px;
+      background: #161b22;
+      box-shadow: 0 8px 24px rgba(0,0,0,0.4);
+      font-size: 12px;
+      font-weight: 400;
+      line-height: 1.5;
+      font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Helvetica, Arial, sans-serif;
+    }
+    .${MENU_CLASS} button {
+      display: flex;
+      justify-content: space-between;
+      gap: 16px;
+      padding: 4px 8px;
+      border: 0;
+      border-radius: 4px;
+      background: transparent;
+      color: #e6edf3;
+      font: inherit;
+      text-align: left;
+      white-space: nowrap;
+      cursor: pointer;
+    }
+    .${MENU_CLASS} button:hover,
+    .${MENU_CLASS} button:focus-visible {
+      background: #30363d;
+      outline: none;
+    }
+    .${MENU_CLASS} .ghpr-inline-menu-hint {
+      color: #8b949e;
+    }
 
     .${TOAST_CLASS} {
       position: fixed;
@@ -618,7 +1303,7 @@ function showInlineToast(message) {
   clearTimeout(toast._hideTimer);
   toast._hideTimer = setTimeout(
     () => toast.classList.remove("ghpr-toast-visible"),
-    2000
+    settings.toastDuration
   );
 }
 
@@ -628,46 +1313,219 @@ let currentAnchor = null;
 let currentBtn = null;
 let hideTimer = null;
 
-function createInlineButton(anchor) {
-  const href = anchor.getAttribute("href");
-  const url = new URL(href, window.location.origin).href;
+/**
+ * Title, URL and display text ("Title #123") for a link. Links whose text
+ * already is the reference (e.g. "#123" in comments) don't repeat it.
+ */
+function getLinkInfo(anchor) {
+  const url = new URL(anchor.getAttribute("href"), window.location.origin).href;
   const title = anchor.textContent.trim();
+  const number = extractNumber(new URL(url).pathname);
+  const displayText =
+    number && !title.endsWith(number) ? `${title} ${number}` : title;
+
+  return { title, url, number, displayText };
+}
+
+function flashDone(btn, icon) {
+  btn.innerHTML = CHECK_ICON_SVG;
+  btn.classList.add("ghpr-copied");
+
+  setTimeout(() => {
+    btn.innerHTML = icon;
+    btn.classList.remove("ghpr-copied");
+  }, 1500);
+}
+
+const MODIFIER_PRESSED = {
+  shift: (e) => e.shiftKey,
+  alt: (e) => e.altKey,
+  ctrl: (e) => e.ctrlKey || e.metaKey,
+};
+
+// The variant a click copies: rich link, or the one configured for the
+// modifier held down
+function getClickVariant(e) {
+  const modifier = INLINE_CLICK_MODIFIERS.find(({ key }) => MODIFIER_PRESSED[key](e));
+  return (modifier && settings.inlineClickVariants[modifier.key]) || "rich";
+}
+
+function getVariantLabel(id) {
+  return LINK_VARIANTS.find((variant) => variant.id === id)?.label || id;
+}
+
+function copyInlineLink(anchor, btn, variant) {
+  copyLink(getLinkInfo(anchor), variant)
+    .then(() => flashDone(btn, COPY_ICON_SVG))
+    .catch((err) => showInlineToast(`Copy failed: ${err.message}`));
+}
 
+function createInlineButton(anchor) {
   const btn = document.createElement("button");
   btn.className = COPY_BTN_CLASS;
-  btn.title = "Copy with link";
+  btn.title = [
+    "Copy with link",
+    ...INLINE_CLICK_MODIFIERS.filter(({ key }) => settings.inlineClickVariants[key]).map(
+      ({ key, label }) => `${label}-click: ${getVariantLabel(settings.inlineClickVariants[key])}`
+    ),
+  ].join("\n");
   btn.innerHTML = COPY_ICON_SVG;
 
   btn.addEventListener("click", (e) => {
     e.preventDefault();
     e.stopPropagation();
+    copyInlineLink(anchor, btn, getClickVariant(e));
+  });
 
-    const number = extractNumber(new URL(url).pathname);
-    const suffix = number ? ` ${number}` : "";
-    const displayText = `${title}${suffix}`;
+  return btn;
+}
 
-    copyRichLink(displayText, url).then(() => {
-      btn.innerHTML = CHECK_ICON_SVG;
-      btn.classList.add("ghpr-copied");
-      showInlineToast(`Copied: ${displayText}`);
+function createMenuButton(anchor, copyBtn) {
+  const btn = document.createElement("button");
+  btn.className = `${COPY_BTN_CLASS} ${MENU_BTN_CLASS}`;
+  btn.title = "Copy as...";
+  btn.setAttribute("aria-haspopup", "menu");
+  btn.setAttribute("aria-expanded", "false");
+  btn.innerHTML = MENU_ICON_SVG;
 
-      setTimeout(() => {
-        btn.innerHTML = COPY_ICON_SVG;
-        btn.classList.remove("ghpr-copied");
-      }, 1500);
-    });
+  btn.addEventListener("click", (e) => {
+    e.preventDefault();
+    e.stopPropagation();
+    const menu = btn.parentNode.querySelector(`.${MENU_CLASS}`);
+    if (menu) {
+      closeInlineMenu(menu, btn);
+    } else {
+      // Keyboard activation (no pointer) moves focus into the menu
+      openInlineMenu(anchor, btn, copyBtn, e.detail === 0);
+    }
+  });
+
+  return btn;
+}
+
+/**
+ * The variants that apply to the link, each with the click that copies it
+ * directly. Hovering an entry shows what it would copy.
+ */
+function openInlineMenu(anchor, menuBtn, copyBtn, focus) {
+  const link = getLinkInfo(anchor);
+  const menu = document.createElement("div");
+  menu.className = MENU_CLASS;
+  menu.setAttribute("role", "menu");
+
+  for (const { id, label } of LINK_VARIANTS) {
+    const output = renderLinkVariant(link, id);
+    if (!output) continue;
+
+    const modifier = INLINE_CLICK_MODIFIERS.find(
+      ({ key }) => settings.inlineClickVariants[key] === id
+    );
+    const hint = id === "rich" ? "Click" : modifier && `${modifier.label}-click`;
+
+    const item = document.createElement("button");
+    item.setAttribute("role", "menuitem");
+    item.dataset.variant = id;
+    item.title = output.html ? link.displayText : output.text;
+    // "Branch / SHA" becomes whichever one this link has
+    item.append(id === "ref" ? output.label.replace(/^./, (c) => c.toUpperCase()) : label);
+    if (hint) {
+      const span = document.createElement("span");
+      span.className = "ghpr-inline-menu-hint";
+      span.textContent = hint;
+      item.appendChild(span);
+    }
+    menu.appendChild(item);
+  }
+
+  menu.addEventListener("click", (e) => {
+    e.preventDefault();
+    e.stopPropagation();
+    const item = e.target.closest("[data-variant]");
+    if (!item) return;
+    closeInlineMenu(menu, menuBtn);
+    copyInlineLink(anchor, copyBtn, item.dataset.variant);
+  });
+
+  menu.addEventListener("keydown", (e) => {
+    const items = [...menu.children];
+    const index = items.indexOf(document.activeElement);
+    if (e.key === "Escape") {
+      closeInlineMenu(menu, menuBtn);
+      menuBtn.focus();
+    } else if (e.key === "ArrowDown" || e.key === "ArrowUp") {
+      const step = e.key === "ArrowDown" ? 1 : -1;
+      items[(index + step + items.length) % items.length].focus();
+    } else {
+      return;
+    }
+    e.preventDefault();
+    e.stopPropagation();
+  });
+
+  menuBtn.setAttribute("aria-expanded", "true");
+  menuBtn.parentNode.appendChild(menu);
+  if (focus) menu.firstChild.focus();
+}
+
+function closeInlineMenu(menu, menuBtn) {
+  menu.remove();
+  menuBtn.setAttribute("aria-expanded", "false");
+}
+
+function createBasketButton(anchor) {
+  const btn = document.createElement("button");
+  btn.className = COPY_BTN_CLASS;
+  btn.title = "Add to basket";
+  btn.innerHTML = BASKET_ICON_SVG;
+
+  btn.addEventListener("click", (e) => {
+    e.preventDefault();
+    e.stopPropagation();
+
+    const { title, url, number } = getLinkInfo(anchor);
+    const item = { title, url, number, ...getUrlRepo(url), ...extractIssueRowMeta(anchor) };
+    const source = {
+      url: window.location.href,
+      label: detectPage().label,
+      ...getContextInfo(),
+    };
+
+    addToBasket([item], source)
+      .then(({ added, basket }) => {
+        flashDone(btn, BASKET_ICON_SVG);
+        showInlineToast(
+          added ? `Added to basket (${basket.length}): ${title}` : `Already in basket: ${title}`
+        );
+      })
+      .catch((err) => showInlineToast(`Could not add to basket: ${err.message}`));
   });
 
-  // Keep button alive while hovering it
-  btn.addEventListener("mouseenter", () => {
+  return btn;
+}
+
+/**
+ * The hover UI: copy button and its menu, plus the basket button unless
+ * turned off.
+ */
+function createInlineActions(anchor) {
+  const actions = document.createElement("span");
+  actions.className = INLINE_ACTIONS_CLASS;
+  const copyBtn = createInlineButton(anchor);
+  actions.append(copyBtn, createMenuButton(anchor, copyBtn));
+  if (settings.inlineBasketButton) {
+    actions.appendChild(createBasketButton(anchor));
+  }
+
+  // Keep buttons alive while hovering them
+  actions.addEventListener("mouseenter", () => {
     clearTimeout(hideTimer);
   });
 
-  btn.addEventListener("mouseleave", () => {
+  actions.addEventListener("mouseleave", () => {
     hideTimer = setTimeout(removeButton, 200);
   });
 
-  return btn;
+  return actions;
 }
 
 function showButton(anchor) {
@@ -684,7 +1542,7 @@ function showButton(anchor) {
 
   injectStyles();
 
-  currentBtn = createInlineButton(anchor);
+  currentBtn = createInlineActions(anchor);
 
   // Insert right after the <a> tag — between title and labels
   anchor.after(currentBtn);
@@ -705,8 +1563,8 @@ document.addEventListener(
   (e) => {
     const anchor = e.target.closest("a");
 
-    // If hovering the copy button itself, keep it alive
-    if (e.target.closest?.(`.${COPY_BTN_CLASS}`)) {
+    // If hovering the buttons themselves, keep them alive
+    if (e.target.closest?.(`.${INLINE_ACTIONS_CLASS}`)) {
       clearTimeout(hideTimer);
       return;
     }
@@ -718,7 +1576,7 @@ document.addEventListener(
       return;
     }
 
-    if (isCopyableLink(anchor)) {
+    if (isInlineButtonEnabled() && isCopyableLink(anchor)) {
       showButton(anchor);
     }
   },
@@ -729,14 +1587,13 @@ document.addEventListener(
   "mouseout",
   (e) => {
     const anchor = e.target.closest("a");
-    if (!anchor && !e.target.closest?.(`.${COPY_BTN_CLASS}`)) return;
+    if (!anchor && !e.target.closest?.(`.${INLINE_ACTIONS_CLASS}`)) return;
 
     const related = e.relatedTarget;
 
-    // Don't hide if moving to the copy button or the anchor
+    // Don't hide if moving to the buttons or the anchor
     if (related) {
-      if (related.classList?.contains(COPY_BTN_CLASS)) return;
-      if (related.closest?.(`.${COPY_BTN_CLASS}`)) return;
+      if (related.closest?.(`.${INLINE_ACTIONS_CLASS}`)) return;
       if (related === currentAnchor) return;
       if (related.closest?.("a") === currentAnchor) return;
     }
@@ -0,0 +1,677 @@
+"use strict";
+
+/**
+ * GitHub PR Extractor — Options Page
+ *
+ * Every control saves itself on change; the popup and content script
+ * pick the new values up from chrome.storage.sync.
+ */
+
+const $ = (sel) => document.querySelector(sel);
+const $$ = (sel) => document.querySelectorAll(sel);
+
+const saveStatus = $("#saveStatus");
+const defaultFormat = $("#defaultFormat");
+const includeNumbers = $("#includeNumbers");
+const inlinePages = $("#inlinePages");
+const inlineBasketButton = $("#inlineBasketButton");
+const inlineClickVariants = $("#inlineClickVariants");
+const toastDuration = $("#toastDuration");
+const apiToken = $("#apiToken");
+const apiBaseUrl = $("#apiBaseUrl");
+const apiStatus = $("#apiStatus");
+const testApiBtn = $("#testApiBtn");
+const saveApiBtn = $("#saveApiBtn");
+const spreadsheetColumns = $("#spreadsheetColumns");
+const csvDelimiter = $("#csvDelimiter");
+const csvBom = $("#csvBom");
+const changelogLabels = $("#changelogLabels");
+const changelogStatus = $("#changelogStatus");
+const saveChangelogBtn = $("#saveChangelogBtn");
+const historyMaxEntries = $("#historyMaxEntries");
+const historyMaxAgeDays = $("#historyMaxAgeDays");
+const historyStatus = $("#historyStatus");
+const clearHistoryBtn = $("#clearHistoryBtn");
+const builtinRule = $("#builtinRule");
+const addBuiltinRuleBtn = $("#addBuiltinRuleBtn");
+const rulesEditor = $("#rulesEditor");
+const rulesStatus = $("#rulesStatus");
+const importRulesBtn = $("#importRulesBtn");
+const importRulesFile = $("#importRulesFile");
+const exportRulesBtn = $("#exportRulesBtn");
+const saveRulesBtn = $("#saveRulesBtn");
+const previewTab = $("#previewTab");
+const refreshTabsBtn = $("#refreshTabsBtn");
+const rulesPreview = $("#rulesPreview");
+const hostList = $("#hostList");
+const newHost = $("#newHost");
+const addHostBtn = $("#addHostBtn");
+const hostsStatus = $("#hostsStatus");
+
+let statusTimer = null;
+let previewTimer = null;
+
+document.addEventListener("DOMContentLoaded", init);
+
+async function init() {
+  const [settings, localSettings, templates] = await Promise.all([
+    loadSettings(),
+    loadLocalSettings(),
+    loadTemplates(),
+  ]);
+
+  renderFormatOptions(templates, settings.defaultFormat);
+  includeNumbers.checked = settings.includeNumbers;
+  for (const radio of $$('input[name="defaultSelection"]')) {
+    radio.checked = radio.value === settings.defaultSelection;
+  }
+  renderSpreadsheetOptions(settings);
+  renderInlinePages(settings.disabledInlinePages);
+  inlineBasketButton.checked = settings.inlineBasketButton;
+  renderClickVariants(settings.inlineClickVariants);
+  toastDuration.value = settings.toastDuration;
+  apiToken.value = localSettings.apiToken;
+  apiBaseUrl.value = settings.apiBaseUrl;
+  changelogLabels.value = formatLabelMap(settings.changelogLabels);
+  await renderHosts(settings.githubHosts);
+  historyMaxEntries.value = settings.historyMaxEntries;
+  historyMaxAgeDays.value = settings.historyMaxAgeDays;
+  renderHistoryStatus(await loadHistory());
+  onHistoryChanged(renderHistoryStatus);
+  renderBuiltinRules();
+  const userRules = await loadUserRules();
+  rulesEditor.value = formatUserRules(userRules);
+  rulesStatus.textContent = describeUserRules(userRules);
+  await renderPreviewTabs();
+
+  bindEvents();
+  runRulesPreview();
+}
+
+function renderFormatOptions(templates, selected) {
+  const formats = [
+    ...BUILTIN_FORMATS,
+    ...templates.map((t) => ({ id: `template:${t.id}`, label: `${t.name} (template)` })),
+  ];
+
+  for (const format of formats) {
+    const option = document.createElement("option");
+    option.value = format.id;
+    option.textContent = format.label;
+    option.selected = format.id === selected;
+    defaultFormat.appendChild(option);
+  }
+}
+
+function renderSpreadsheetOptions(settings) {
+  for (const { id, label } of SPREADSHEET_COLUMNS) {
+    const row = document.createElement("label");
+    const checkbox = document.createElement("input");
+    checkbox.type = "checkbox";
+    checkbox.value = id;
+    checkbox.checked = settings.spreadsheetColumns.includes(id);
+    row.append(checkbox, ` ${label}`);
+    spreadsheetColumns.appendChild(row);
+  }
+
+  for (const { value, label } of CSV_DELIMITERS) {
+    const option = document.createElement("option");
+    option.value = value;
+    option.textContent = label;
+    option.selected = value === settings.csvDelimiter;
+    csvDelimiter.appendChild(option);
+  }
+  csvBom.checked = settings.csvBom;
+}
+
+function renderInlinePages(disabled) {
+  for (const { type, label } of INLINE_PAGE_TYPES) {
+    const row = document.createElement("label");
+    const checkbox = document.createElement("input");
+    checkbox.type = "checkbox";
+    checkbox.value = type;
+    checkbox.checked = !disabled.includes(type);
+    row.append(checkbox, ` ${label}`);
+    inlinePages.appendChild(row);
+  }
+}
+
+function renderClickVariants(variants) {
+  for (const { key, label } of INLINE_CLICK_MODIFIERS) {
+    const row = document.createElement("label");
+    row.className = "row";
+    const name = document.createElement("span");
+    name.className = "row__label";
+    name.textContent = `${label}-click`;
+    const select = document.createElement("select");
+    select.className = "input";
+    select.dataset.modifier = key;
+    for (const variant of LINK_VARIANTS) {
+      const option = document.createElement("option");
+      option.value = variant.id;
+      option.textContent = variant.id === "ref" ? `${variant.label} (rich link elsewhere)` : variant.label;
+      option.selected = variant.id === variants[key];
+      select.appendChild(option);
+    }
+    row.append(name, select);
+    inlineClickVariants.appendChild(row);
+  }
+}
+
+function bindEvents() {
+  defaultFormat.addEventListener("change", () =>
+    save({ defaultFormat: defaultFormat.value })
+  );
+
+  includeNumbers.addEventListener("change", () =>
+    save({ includeNumbers: includeNumbers.checked })
+  );
+
+  for (const radio of $$('input[name="defaultSelection"]')) {
+    radio.addEventListener("change", () => save({ defaultSelection: radio.value }));
+  }
+
+  inlinePages.addEventListener("change", () => {
+    const disabled = [...inlinePages.querySelectorAll("input:not(:checked)")].map(
+      (cb) => cb.value
+    );
+    save({ disabledInlinePages: disabled });
+  });
+
+  spreadsheetColumns.addEventListener("change", (e) => {
+    const checked = spreadsheetColumns.querySelectorAll("input:checked");
+    // A table needs at least one column; keep the last one ticked
+    if (checked.length === 0) {
+      e.target.checked = true;
+      return;
+    }
+    save({ spreadsheetColumns: [...checked].map((cb) => cb.value) });
+  });
+
+  csvDelimiter.addEventListener("change", () => save({ csvDelimiter: csvDelimiter.value }));
+
+  csvBom.addEventListener("change", () => save({ csvBom: csvBom.checked }));
+
+  inlineBasketButton.addEventListener("change", () =>
+    save({ inlineBasketButton: inlineBasketButton.checked })
+  );
+
+  inlineClickVariants.addEventListener("change", () => {
+    const variants = {};
+    for (const select of inlineClickVariants.querySelectorAll("select")) {
+      variants[select.dataset.modifier] = select.value;
+    }
+    save({ inlineClickVariants: variants });
+  });
+
+  toastDuration.addEventListener("change", () => {
+    const ms = Math.min(10000, Math.max(500, parseInt(toastDuration.value, 10) || 0));
+    toastDuration.value = ms;
+    save({ toastDuration: ms });
+  });
+
+  historyMaxEntries.addEventListener("change", () => {
+    historyMaxEntries.value = clampInt(historyMaxEntries.value, 0, 500);
+    saveHistoryLimits();
+  });
+  historyMaxAgeDays.addEventListener("change", () => {
+    historyMaxAgeDays.value = clampInt(historyMaxAgeDays.value, 0, 365);
+    saveHistoryLimits();
+  });
+  clearHistoryBtn.addEventListener("click", clearHistory);
+
+  addBuiltinRuleBtn.addEventListener("click", handleAddBuiltinRule);
+  saveRulesBtn.addEventListener("click", handleSaveRules);
+  exportRulesBtn.addEventListener("click", handleExportRules);
+  importRulesBtn.addEventListener("click", () => importRulesFile.click());
+  importRulesFile.addEventListener("change", handleImportRules);
+  rulesEditor.addEventListener("input", () => {
+    clearTimeout(previewTimer);
+    previewTimer = setTimeout(runRulesPreview, 500);
+  });
+  previewTab.addEventListener("change", runRulesPreview);
+  refreshTabsBtn.addEventListener("click", async () => {
+    await renderPreviewTabs();
+    runRulesPreview();
+  });
+
+  addHostBtn.addEventListener("click", handleAddHost);
+  newHost.addEventListener("keydown", (e) => {
+    if (e.key === "Enter") handleAddHost();
+  });
+  hostList.addEventListener("click", handleHostAction);
+
+  saveApiBtn.addEventListener("click", handleSaveApi);
+  testApiBtn.addEventListener("click", handleTestApi);
+
+  saveChangelogBtn.addEventListener("click", () => {
+    const { map, error } = parseLabelMap(changelogLabels.value);
+    changelogStatus.textContent = error || "";
+    if (!error) save({ changelogLabels: map });
+  });
+}
+
+function clampInt(value, min, max) {
+  return Math.min(max, Math.max(min, parseInt(value, 10) || 0));
+}
+
+function renderHistoryStatus(entries) {
+  const noun = entries.length === 1 ? "extraction" : "extractions";
+  historyStatus.textContent = `${entries.length} ${noun} stored.`;
+  clearHistoryBtn.disabled = entries.length === 0;
+}
+
+/**
+ * Saves the caps and applies them to the stored history right away, so
+ * lowering a limit frees space without waiting for the next extraction.
+ */
+async function saveHistoryLimits() {
+  const limits = {
+    maxEntries: Number(historyMaxEntries.value),
+    maxAgeDays: Number(historyMaxAgeDays.value),
+  };
+  await save({ historyMaxEntries: limits.maxEntries, historyMaxAgeDays: limits.maxAgeDays });
+
+  const history = await loadHistory();
+  const kept = pruneHistory(history, limits);
+  if (kept.length !== history.length) await saveHistory(kept);
+}
+
+// ---- Extractor Rules ----
+function formatUserRules(rules) {
+  return rules.length > 0 ? formatRulesJson(rules) : "";
+}
+
+function renderBuiltinRules() {
+  for (const rule of BUILTIN_RULES) {
+    const option = document.createElement("option");
+    option.value = rule.id;
+    option.textContent = rule.pages?.length
+      ? `${rule.id} — ${rule.pages.map((page) => page.label).join(", ")}`
+      : rule.id;
+    builtinRule.appendChild(option);
+  }
+}
+
+/**
+ * Copies a built-in rule into the editor as the starting point for an
+ * override. Nothing is saved until the user clicks Save.
+ */
+function handleAddBuiltinRule() {
+  const { rules, error } = parseRulesJson(rulesEditor.value);
+  if (error) {
+    rulesStatus.textContent = `Fix the rules first — ${error}`;
+    return;
+  }
+  if (rules.some((rule) => rule.id === builtinRule.value)) {
+    rulesStatus.textContent = `"${builtinRule.value}" is already in the editor.`;
+    return;
+  }
+
+  const rule = BUILTIN_RULES.find((r) => r.id === builtinRule.value);
+  rulesEditor.value = formatRulesJson([...rules, structuredClone(rule)]);
+  rulesStatus.textContent = `Edit "${rule.id}" and save to override the built-in rule.`;
+  runRulesPreview();
+}
+
+async function handleSaveRules() {
+  const { rules, error } = parseRulesJson(rulesEditor.value);
+  if (error) {
+    rulesStatus.textContent = error;
+    return;
+  }
+
+  try {
+    await saveUserRules(rules);
+  } catch (err) {
+    rulesStatus.textContent = `Could not save: ${err.message}`;
+    return;
+  }
+  rulesEditor.value = formatUserRules(rules);
+  rulesStatus.textContent = describeUserRules(rules);
+  showStatus("Saved");
+}
+
+function describeUserRules(rules) {
+  if (rules.length === 0) return "Using the built-in rules only.";
+  const builtinIds = new Set(BUILTIN_RULES.map((rule) => rule.id));
+  const overrides = rules.filter((rule) => builtinIds.has(rule.id)).length;
+  return `${rules.length - overrides} new, ${overrides} overriding built-in rules.`;
+}
+
+async function handleExportRules() {
+  const { rules, error } = parseRulesJson(rulesEditor.value);
+  if (error) {
+    rulesStatus.textContent = error;
+    return;
+  }
+
+  const blob = new Blob([formatRulesJson(rules) + "\n"], { type: "application/json" });
+  const url = URL.createObjectURL(blob);
+  try {
+    await chrome.downloads.download({
+      url,
+      filename: "github-extractor-rules.json",
+      saveAs: true,
+    });
+  } catch (err) {
+    rulesStatus.textContent = `Export failed: ${err.message}`;
+  } finally {
+    setTimeout(() => URL.revokeObjectURL(url), 10000);
+  }
+}
+
+/**
+ * Merges an exported rules file into the current rules by id (imported
+ * rules win) and saves the result.
+ */
+async function handleImportRules() {
+  const file = importRulesFile.files[0];
+  importRulesFile.value = "";
+  if (!file) return;
+
+  const imported = parseRulesJson(await file.text());
+  if (imported.error) {
+    rulesStatus.textContent = `${file.name}: ${imported.error}`;
+    return;
+  }
+  const current = parseRulesJson(rulesEditor.value);
+  if (current.error) {
+    rulesStatus.textContent = `Fix the rules first — ${current.error}`;
+    return;
+  }
+
+  const importedIds = new Set(imported.rules.map((rule) => rule.id));
+  const replaced = current.rules.filter((rule) => importedIds.has(rule.id)).length;
+  const rules = [
+    ...current.rules.map((rule) =>
+      importedIds.has(rule.id) ? imported.rules.find((r) => r.id === rule.id) : rule
+    ),
+    ...imported.rules.filter((rule) => !current.rules.some((r) => r.id === rule.id)),
+  ];
+
+  try {
+    await saveUserRules(rules);
+  } catch (err) {
+    rulesStatus.textContent = `${file.name}: could not save — ${err.message}`;
+    return;
+  }
+  rulesEditor.value = formatUserRules(rules);
+  rulesStatus.textContent =
+    `Imported ${imported.rules.length} rules` + (replaced ? ` (${replaced} replaced).` : ".");
+  showStatus("Saved");
+  runRulesPreview();
+}
+
+// ---- Rule Preview ----
+
+/**
+ * Lists open GitHub tabs, most recently used first, to run the editor's
+ * rules against.
+ */
+async function renderPreviewTabs() {
+  const hosts = (await loadSettings()).githubHosts;
+  const tabs = await chrome.tabs.query({ url: getHostMatchPatterns(hosts) });
+  tabs.sort((a, b) => (b.lastAccessed || 0) - (a.lastAccessed || 0));
+
+  const selected = previewTab.value;
+  previewTab.innerHTML = "";
+  for (const tab of tabs) {
+    const option = document.createElement("option");
+    option.value = String(tab.id);
+    option.textContent = tab.title || tab.url;
+    option.title = tab.url;
+    option.selected = String(tab.id) === selected;
+    previewTab.appendChild(option);
+  }
+  previewTab.disabled = tabs.length === 0;
+}
+
+async function previewInTab(tabId, rules) {
+  const run = () =>
+    chrome.scripting.executeScript({
+      target: { tabId },
+      func: (userRules) =>
+        typeof previewExtractorRules === "function" ? previewExtractorRules(userRules) : null,
+      args: [rules],
+    });
+
+  let results = await run();
+  // Tabs opened before the extension was installed have no content script
+  if (!results?.[0]?.result) {
+    await chrome.scripting.executeScript({
+      target: { tabId },
+      files: chrome.runtime.getManifest().content_scripts[0].js,
+    });
+    results = await run();
+  }
+  return results?.[0]?.result || null;
+}
+
+async function runRulesPreview() {
+  clearTimeout(previewTimer);
+  const tabId = Number(previewTab.value);
+  if (!tabId) {
+    rulesPreview.textContent = "Open a GitHub page in another tab to test rules against it.";
+    return;
+  }
+
+  const { rules, error } = parseRulesJson(rulesEditor.value);
+  if (error) {
+    rulesPreview.textContent = error;
+    return;
+  }
+
+  let result;
+  try {
+    result = await previewInTab(tabId, rules);
+  } catch (err) {
+    rulesPreview.textContent = `Could not reach the tab: ${err.message}`;
+    return;
+  }
+  if (!result) {
+    rulesPreview.textContent = "Could not reach the tab. Try reloading it.";
+    return;
+  }
+
+  const page = result.pageRule
+    ? `${result.label} (rule "${result.pageRule}")`
+    : `${result.label} (no rule matches this URL)`;
+  const source = result.source === "generic" ? "the generic link finder" : `rule "${result.source}"`;
+  const lines = [`Page: ${page}`, `Found ${result.count} items with ${source}.`];
+
+  for (const item of result.items) {
+    lines.push("", `${item.number ? `${item.number} ` : ""}${item.title}`, `  ${item.url}`);
+    const fields = formatPreviewFields(item);
+    if (fields) lines.push(`  ${fields}`);
+  }
+  if (result.count > result.items.length) {
+    lines.push("", `…and ${result.count - result.items.length} more.`);
+  }
+
+  rulesPreview.textContent = lines.join("\n");
+}
+
+function formatPreviewFields(item) {
+  return Object.entries(item)
+    .filter(([key, value]) => !["title", "url", "number"].includes(key) && value != null)
+    .filter(([, value]) => !Array.isArray(value) || value.length > 0)
+    .map(([key, value]) => {
+      const text = Array.isArray(value)
+        ? value.map((v) => (typeof v === "object" ? v.name ?? v.number ?? v.title : v)).join(", ")
+        : value;
+      return `${key}: ${text}`;
+    })
+    .join(" · ");
+}
+
+// ---- GitHub Hosts ----
+/**
+ * github.com is built in; other hosts show whether their permission is
+ * still granted, since it can be revoked from the browser's extension page.
+ */
+async function renderHosts(hosts) {
+  const rows = await Promise.all(
+    hosts.map(async (origin) => {
+      const row = document.createElement("li");
+      row.className = "host-list__item";
+      row.dataset.origin = origin;
+      const name = document.createElement("span");
+      name.textContent = origin;
+      const actions = document.createElement("span");
+      row.append(name, actions);
+
+      if (origin === GITHUB_COM_ORIGIN) {
+        actions.className = "section__hint";
+        actions.textContent = "Built in";
+        return row;
+      }
+
+      const granted = await chrome.permissions.contains({ origins: [getHostMatchPattern(origin)] });
+      if (!granted) {
+        const warning = document.createElement("span");
+        warning.className = "host-list__warning";
+        warning.textContent = "No permission";
+        actions.append(warning, createHostButton("grant", "Grant"));
+      }
+      actions.append(createHostButton("remove", "Remove"));
+      return row;
+    })
+  );
+  hostList.replaceChildren(...rows);
+}
+
+function createHostButton(action, label) {
+  const button = document.createElement("button");
+  button.className = "button";
+  button.dataset.action = action;
+  button.textContent = label;
+  return button;
+}
+
+/**
+ * Permission requests must run inside the click handler, before any other
+ * await, or the browser rejects them.
+ */
+async function handleAddHost() {
+  const origin = normalizeHost(newHost.value);
+  if (!origin) {
+    hostsStatus.textContent = "Enter a host name or an http(s) URL.";
+    return;
+  }
+
+  const granted = await chrome.permissions.request({ origins: [getHostMatchPattern(origin)] });
+  if (!granted) {
+    hostsStatus.textContent = `Permission to run on ${new URL(origin).host} was not granted.`;
+    return;
+  }
+
+  const hosts = (await loadSettings()).githubHosts;
+  if (!hosts.includes(origin)) {
+    hosts.push(origin);
+    await save({ githubHosts: hosts });
+  }
+  newHost.value = "";
+  hostsStatus.textContent = `Added ${origin}. Reload its open tabs to use the extension there.`;
+  await renderHosts(hosts);
+  await renderPreviewTabs();
+}
+
+async function handleHostAction(e) {
+  const button = e.target.closest("button[data-action]");
+  if (!button) return;
+  const origin = button.closest("[data-origin]").dataset.origin;
+  const pattern = getHostMatchPattern(origin);
+
+  if (button.dataset.action === "grant") {
+    const granted = await chrome.permissions.request({ origins: [pattern] });
+    hostsStatus.textContent = granted ? `Granted access to ${origin}.` : "Permission was not granted.";
+  } else {
+    const hosts = (await loadSettings()).githubHosts.filter((host) => host !== origin);
+    await save({ githubHosts: hosts });
+    // Another configured origin (e.g. http vs https) may share the pattern
+    if (!getHostMatchPatterns(hosts).includes(pattern)) {
+      await chrome.permissions.remove({ origins: [pattern] });
+    }
+    hostsStatus.textContent = `Removed ${origin}.`;
+  }
+
+  await renderHosts((await loadSettings()).githubHosts);
+  await renderPreviewTabs();
+}
+
+// ---- GitHub API ----
+function readApiForm() {
+  const baseUrl = apiBaseUrl.value.trim().replace(/\/+$/, "") || DEFAULT_SETTINGS.apiBaseUrl;
+  try {
+    const url = new URL(baseUrl);
+    if (!/^https?:$/.test(url.protocol)) throw new Error();
+  } catch {
+    return { error: "API base URL must be an http(s) URL." };
+  }
+  return { token: apiToken.value.trim(), baseUrl };
+}
+
+/**
+ * Custom API hosts (mock servers, GitHub Enterprise) need a host
+ * permission before the popup can call them. Must run in a click handler.
+ */
+function requestApiPermission(baseUrl) {
+  return chrome.permissions.request({ origins: [`${new URL(baseUrl).origin}/*`] });
+}
+
+async function handleSaveApi() {
+  const { token, baseUrl, error } = readApiForm();
+  if (error) {
+    apiStatus.textContent = error;
+    return;
+  }
+
+  if (!(await requestApiPermission(baseUrl))) {
+    apiStatus.textContent = `Permission to reach ${new URL(baseUrl).host} was not granted.`;
+    return;
+  }
+
+  apiBaseUrl.value = baseUrl;
+  await saveLocalSettings({ apiToken: token });
+  await save({ apiBaseUrl: baseUrl });
+  apiStatus.textContent = token ? "API enrichment is on." : "No token — page data only.";
+}
+
+async function handleTestApi() {
+  const { token, baseUrl, error } = readApiForm();
+  if (error || !token) {
+    apiStatus.textContent = error || "Enter a token first.";
+    return;
+  }
+
+  if (!(await requestApiPermission(baseUrl))) {
+    apiStatus.textContent = `Permission to reach ${new URL(baseUrl).host} was not granted.`;
+    return;
+  }
+
+  apiStatus.textContent = "Testing...";
+  try {
+    const login = await testApiConnection({ token, baseUrl });
+    apiStatus.textContent = `Connected as @${login}.`;
+  } catch (err) {
+    apiStatus.textContent = `Failed: ${err.message}`;
+  }
+}
+
+async function save(patch) {
+  try {
+    await saveSettings(patch);
+    showStatus("Saved");
+  } catch (err) {
+    showStatus(`Could not save: ${err.message}`);
+  }
+}
+
+function showStatus(message) {
+  saveStatus.textContent = message;
+  clearTimeout(statusTimer);
+  statusTimer = setTimeout(() => {
+    saveStatus.textContent = "";
+  }, 1500);
+}
@@ -11,7 +11,68 @@
 let allItems = [];
 let selectedIds = new Set();
 let activeFormat = "markdown";
+let settings = { ...DEFAULT_SETTINGS };
+let localSettings = { ...DEFAULT_LOCAL_SETTINGS };
 let pageData = null;
+let activeTabId = null;
+let pagesPort = null;
+let templates = [];
+let editingTemplate = null;
+let view = "page";
+let pageError = "";
+let historyEntries = [];
+// History entry open in the history view (null while listing entries)
+let historyEntry = null;
+let historyQuery = "";
+// This popup session's history entry for the page, updated as it changes
+let historyId = null;
+let historyTimer = null;
+let sortBy = "page";
+let sortDescending = false;
+let groupBy = "none";
+// URLs in the order the user dragged them into (sortBy "manual")
+let manualOrder = null;
+let collapsedGroups = new Set();
+let dragUrl = null;
+// getOrderedItems() result and what it was computed from
+let orderCache = null;
+// The filter as last applied, and the items it let through (including
+// those in collapsed groups); select all works on these
+let filterQuery = { terms: [] };
+let visibleItems = [];
+// URL → rank while a fuzzy query ranks the list (null otherwise); copy,
+// download and the basket follow it like they follow the chosen sort
+let rankedUrls = null;
+let filterTimer = null;
+let filterMode = "exact";
+// Virtual list: what the list shows (group headers and items) and the
+// y offset of each entry, with listOffsets[length] the total height
+let listEntries = [];
+let listOffsets = [0];
+let listShowRepo = false;
+let listShowRepoFor = null;
+// Entry key → { row, kind, generation } for the rows in the DOM
+const renderedRows = new Map();
+// Measured row heights by entry key
+const rowHeights = new Map();
+// Detached rows waiting to be reused, by entry kind
+const rowPool = { item: [], group: [] };
+let listGeneration = 0;
+let listFrame = null;
+// Running as the browser's side panel rather than the toolbar popup
+const isPanel = !chrome.extension.getViews({ type: "popup" }).includes(window);
+let currentWindowId = null;
+let panelRefreshTimer = null;
+
+// State of the views not on screen:
+// { allItems, selectedIds, pageData, filter, historyEntry, manualOrder }
+const viewStates = {};
+
+// Page types whose items are PRs/issues a changelog can be built from
+const CHANGELOG_PAGE_TYPES = new Set(["milestone", "issueOrPr", "basket", "tabs"]);
+
+// Standup summaries also make sense for a single PR/issue page
+const STANDUP_PAGE_TYPES = new Set([...CHANGELOG_PAGE_TYPES, "detail"]);
 
 // ---- DOM refs ----
 const $ = (sel) => document.querySelector(sel);
@@ -22,45 +83,219 @@ const controls = $("#controls");
 const filterBar = $("#filterBar");
 const filterInput = $("#filterInput");
 const filterCount = $("#filterCount");
+const filterError = $("#filterError");
+const filterModeBtn = $("#filterModeBtn");
+const listBar = $("#listBar");
+const sortSelect = $("#sortBy");
+const sortDirBtn = $("#sortDirBtn");
+const groupSelect = $("#groupBy");
 const itemList = $("#itemList");
+const itemRows = $("#itemRows");
+const rowParking = $("#rowParking");
 const loadingState = $("#loadingState");
+const loadingMessage = $("#loadingMessage");
 const emptyState = $("#emptyState");
 const emptyMessage = $("#emptyMessage");
 const footer = $("#footer");
 const totalCount = $("#totalCount");
 const selectAllLink = $("#selectAll");
+const basketLink = $("#basketLink");
+const viewTabs = $("#viewTabs");
+const basketCount = $("#basketCount");
+const tabsBar = $("#tabsBar");
+const tabsInfo = $("#tabsInfo");
+const tabsFailures = $("#tabsFailures");
+const refreshTabsLink = $("#refreshTabsLink");
+const historyBar = $("#historyBar");
+const historyBack = $("#historyBack");
+const historyInfo = $("#historyInfo");
+const clearHistoryLink = $("#clearHistoryLink");
 const copyBtn = $("#copyBtn");
 const copyLabel = $("#copyLabel");
 const includeNumbers = $("#includeNumbers");
+const optionsBtn = $("#optionsBtn");
+const panelBtn = $("#panelBtn");
+const changelogBtn = $("#changelogBtn");
+const standupBtn = $("#standupBtn");
+const downloadFormat = $("#downloadFormat");
+const downloadBtn = $("#downloadBtn");
+const pagerBar = $("#pagerBar");
+const pagerLabel = $("#pagerLabel");
+const pagerProgress = $("#pagerProgress");
+const allPagesBtn = $("#allPagesBtn");
+const cancelPagesBtn = $("#cancelPagesBtn");
+const formatGroup = $(".format-group");
+const customFormats = $("#customFormats");
+const dialectSelect = $("#dialectSelect");
+const addTemplateBtn = $("#addTemplateBtn");
+const templatePanel = $("#templatePanel");
+const templatePanelTitle = $("#templatePanelTitle");
+const templateName = $("#templateName");
+const templatePreview = $("#templatePreview");
+const templateError = $("#templateError");
+const saveTemplateBtn = $("#saveTemplateBtn");
+const cancelTemplateBtn = $("#cancelTemplateBtn");
+const deleteTemplateBtn = $("#deleteTemplateBtn");
+const templatePartInputs = {
+  text: {
+    header: $("#templateTextHeader"),
+    item: $("#templateTextItem"),
+    separator: $("#templateTextSeparator"),
+    footer: $("#templateTextFooter"),
+  },
+  html: {
+    header: $("#templateHtmlHeader"),
+    item: $("#templateHtmlItem"),
+    separator: $("#templateHtmlSeparator"),
+    footer: $("#templateHtmlFooter"),
+  },
+};
 
 // ---- Init ----
 document.addEventListener("DOMContentLoaded", init);
 
 async function init() {
   bindEvents();
+  let currentWindow;
+  [settings, localSettings, templates, currentWindow] = await Promise.all([
+    loadSettings(),
+    loadLocalSettings(),
+    loadTemplates(),
+    chrome.windows.getCurrent(),
+  ]);
+  currentWindowId = currentWindow.id;
+  activeFormat = settings.defaultFormat;
+  includeNumbers.checked = settings.includeNumbers;
+  sortDescending = settings.sortDescending;
+  applyGroup(settings.groupBy);
+  applySort(settings.sortBy);
+  applyFilterMode(settings.filterMode);
+  renderDownloadFormats();
+  renderDialectOptions();
+  renderTemplateButtons();
+  updateBasketCount(await loadBasket());
+  onBasketChanged(handleBasketChanged);
+  onHistoryChanged(handleHistoryChanged);
+  if (isPanel) initSidePanel();
+  else panelBtn.hidden = !chrome.sidePanel && !chrome.sidebarAction;
   await extractFromPage();
+  if (isPanel) return;
+
+  // Opened through the "focus filter" keyboard shortcut
+  const { focusFilter } = await chrome.storage.session.get("focusFilter");
+  if (focusFilter) {
+    await chrome.storage.session.remove("focusFilter");
+    // No filter bar on single records or when nothing was extracted
+    if (!filterBar.hidden) filterInput.focus();
+  }
 }
 
 function bindEvents() {
-  // Format buttons
-  for (const btn of $$("[data-format]")) {
-    btn.addEventListener("click", () => {
-      activeFormat = btn.dataset.format;
-      for (const b of $$("[data-format]")) b.classList.remove("btn--active");
-      btn.classList.add("btn--active");
-    });
-  }
+  // Format buttons (built-in and custom templates)
+  formatGroup.addEventListener("click", (e) => {
+    const btn = e.target.closest("[data-format]");
+    if (!btn) return;
+    setActiveFormat(btn.dataset.format);
+    saveSettings({ defaultFormat: activeFormat });
+  });
+
+  dialectSelect.addEventListener("change", () => {
+    if (!dialectSelect.value) return;
+    setActiveFormat(dialectSelect.value);
+    saveSettings({ defaultFormat: activeFormat });
+  });
+
+  optionsBtn.addEventListener("click", () => chrome.runtime.openOptionsPage());
+  panelBtn.addEventListener("click", openSidePanel);
+
+  // Templates
+  customFormats.addEventListener("dblclick", (e) => {
+    const btn = e.target.closest("[data-template-id]");
+    const template = btn && templates.find((t) => t.id === btn.dataset.templateId);
+    if (template) openTemplateEditor(template);
+  });
+  addTemplateBtn.addEventListener("click", () => openTemplateEditor(null));
+  saveTemplateBtn.addEventListener("click", handleSaveTemplate);
+  cancelTemplateBtn.addEventListener("click", closeTemplateEditor);
+  deleteTemplateBtn.addEventListener("click", handleDeleteTemplate);
+  templatePanel.addEventListener("input", updateTemplatePreview);
 
   // Copy
   copyBtn.addEventListener("click", handleCopy);
 
-  // Filter
-  filterInput.addEventListener("input", handleFilter);
+  // Download
+  downloadBtn.addEventListener("click", handleDownload);
+  downloadFormat.addEventListener("change", () =>
+    saveSettings({ downloadFormat: downloadFormat.value })
+  );
+
+  // All tabs
+  refreshTabsLink.addEventListener("click", (e) => {
+    e.preventDefault();
+    if (loadingState.hidden) extractFromAllTabs(selectedIds);
+  });
+  tabsFailures.addEventListener("click", (e) => {
+    const link = e.target.closest("[data-tab-id]");
+    if (!link) return;
+    e.preventDefault();
+    // Showing a discarded tab loads it again
+    chrome.tabs.update(Number(link.dataset.tabId), { active: true });
+  });
+
+  // Filter; typing re-filters once it pauses
+  filterInput.addEventListener("input", () => {
+    clearTimeout(filterTimer);
+    filterTimer = setTimeout(handleFilter, FILTER_DEBOUNCE_MS);
+  });
+  filterModeBtn.addEventListener("click", () => {
+    applyFilterMode(filterMode === "fuzzy" ? "exact" : "fuzzy");
+    saveSettings({ filterMode });
+    handleFilter();
+  });
+
+  // Sort, group, reorder
+  sortSelect.addEventListener("change", () => {
+    applySort(sortSelect.value);
+    saveSettings({ sortBy });
+    handleFilter();
+  });
+  sortDirBtn.addEventListener("click", () => {
+    sortDescending = !sortDescending;
+    applySort(sortBy);
+    saveSettings({ sortDescending });
+    handleFilter();
+  });
+  groupSelect.addEventListener("change", () => {
+    applyGroup(groupSelect.value);
+    collapsedGroups = new Set();
+    // Source tabs only exist in the all-tabs view
+    if (groupBy !== "tab") saveSettings({ groupBy });
+    handleFilter();
+  });
+  itemList.addEventListener("click", (e) => {
+    const header = e.target.closest(".group[data-group]");
+    if (!header) return;
+    const key = header.dataset.group;
+    if (!collapsedGroups.delete(key)) collapsedGroups.add(key);
+    handleFilter();
+  });
+  itemList.addEventListener("dragstart", handleDragStart);
+  itemList.addEventListener("dragover", handleDragOver);
+  itemList.addEventListener("dragleave", clearDropMarker);
+  itemList.addEventListener("drop", handleDrop);
+  itemList.addEventListener("dragend", handleDragEnd);
+
+  // Rows are drawn as they scroll into view; see Virtual List
+  itemList.addEventListener("scroll", scheduleListWindow);
+  window.addEventListener("resize", () => {
+    rowHeights.clear();
+    scheduleListWindow();
+  });
+  itemList.addEventListener("change", handleCheckboxChange);
 
   // Select all toggle
   selectAllLink.addEventListener("click", (e) => {
     e.preventDefault();
-    const visibleItems = getVisibleItems();
     const allSelected = visibleItems.every((item) => selectedIds.has(item.url));
 
     for (const item of visibleItems) {
@@ -74,91 +309,942 @@ function bindEvents() {
     updateCheckboxes();
     updateFooter();
     updateSelectAllLabel();
+    if (view === "page") scheduleHistorySave();
+  });
+
+  // Views & basket
+  viewTabs.addEventListener("click", (e) => {
+    const tab = e.target.closest("[data-view]");
+    if (tab) switchView(tab.dataset.view);
+  });
+  basketLink.addEventListener("click", (e) => {
+    e.preventDefault();
+    if (view === "basket") {
+      handleClearBasket();
+    } else {
+      handleAddToBasket();
+    }
+  });
+  itemList.addEventListener("click", (e) => {
+    const btn = e.target.closest("[data-basket-action]");
+    if (btn) handleBasketAction(btn.dataset.basketAction, btn.closest(".item").dataset.url);
+  });
+
+  // History
+  itemList.addEventListener("click", async (e) => {
+    const row = e.target.closest("[data-history-id]");
+    if (!row) return;
+    if (e.target.closest("[data-history-action='remove']")) {
+      try {
+        await removeFromHistory(row.dataset.historyId);
+      } catch (err) {
+        showToast(`Could not remove from history: ${err.message}`);
+      }
+    } else {
+      const entry = historyEntries.find((h) => h.id === row.dataset.historyId);
+      if (entry) openHistoryEntry(entry);
+    }
+  });
+  historyBack.addEventListener("click", (e) => {
+    e.preventDefault();
+    filterInput.value = historyQuery;
+    showHistoryList();
+  });
+  clearHistoryLink.addEventListener("click", (e) => {
+    e.preventDefault();
+    confirmClick(clearHistoryLink, async () => {
+      try {
+        await clearHistory();
+        showToast("History cleared");
+      } catch (err) {
+        showToast(`Could not clear history: ${err.message}`);
+      }
+    });
+  });
+
+  // Pagination
+  allPagesBtn.addEventListener("click", startAllPages);
+  cancelPagesBtn.addEventListener("click", () => {
+    pagesPort?.postMessage({ action: "cancel" });
+    pagerLabel.textContent = "Cancelling...";
   });
 
   // Include numbers toggle
   includeNumbers.addEventListener("change", () => {
     // preference only affects copy output, no re-render needed
+    saveSettings({ includeNumbers: includeNumbers.checked });
   });
 }
 
 // ---- Extraction ----
 async function extractFromPage() {
   try {
-    const [tab] = await chrome.tabs.query({
-      active: true,
-      currentWindow: true,
+    const { tab, response, error } = await extractActiveTab();
+    if (error) {
+      showEmpty(error);
+      return;
+    }
+
+    activeTabId = tab.id;
+    pageData = response;
+    allItems = response.items;
+
+    // A single record is always what gets copied
+    if (settings.defaultSelection === "all" || response.record) {
+      for (const item of allItems) {
+        selectedIds.add(item.url);
+      }
+    }
+
+    renderUI();
+    saveToHistory();
+    enrichFromApi();
+  } catch (err) {
+    showEmpty("Could not connect to this page. Try refreshing.");
+    console.error("PR Extractor:", err);
+  }
+}
+
+/**
+ * Extracts the current window's active tab. Resolves to `{ tab, response }`,
+ * or `{ error }` with the message to show when there's nothing to list.
+ */
+async function extractActiveTab() {
+  const [tab] = await chrome.tabs.query({
+    active: true,
+    currentWindow: true,
+  });
+
+  if (!tab?.id || !isGitHubUrl(tab.url, settings.githubHosts)) {
+    return { error: "Navigate to a GitHub page to extract items." };
+  }
+
+  let response;
+  try {
+    response = await runExtractItems(tab.id);
+  } catch {
+    return { error: "Could not connect to this page. Try refreshing." };
+  }
+
+  if (!response || !response.success || !response.items?.length) {
+    return {
+      error: response?.error || "No items found. Try a PRs, Issues, or Milestones page.",
+    };
+  }
+  return { tab, response };
+}
+
+/**
+ * Runs extractItems() in a tab and resolves to its result, or null when
+ * nothing answered. Rejects when the tab can't be scripted.
+ */
+async function runExtractItems(tabId) {
+  // Call extractItems() directly via executeScript — no message passing needed.
+  // The content script is auto-loaded via manifest.json, so extractItems() is
+  // already available in the tab's isolated world.
+  const extract = () =>
+    chrome.scripting.executeScript({
+      target: { tabId },
+      func: () => {
+        if (typeof extractItems === "function") {
+          return extractItems();
+        }
+        return null;
+      },
     });
 
-    if (!tab?.id || !tab.url?.startsWith("https://github.com")) {
-      showEmpty("Navigate to a GitHub page to extract items.");
-      return;
+  let results = await extract();
+
+  // If content script wasn't loaded yet, inject it and retry
+  if (!results?.[0]?.result) {
+    await chrome.scripting.executeScript({
+      target: { tabId },
+      files: chrome.runtime.getManifest().content_scripts[0].js,
+    });
+    results = await extract();
+  }
+
+  return results?.[0]?.result || null;
+}
+
+// ---- All Tabs ----
+
+/**
+ * Extracts every GitHub tab in the window into one list. Items keep the
+ * tab they came from as `source` (the basket's shape plus the tab title)
+ * and are deduped by URL, first tab wins. Tabs that fail are reported in
+ * the bar above the list; they don't stop the others.
+ */
+async function extractFromAllTabs(keepSelection = null) {
+  controls.hidden = true;
+  filterBar.hidden = true;
+  listBar.hidden = true;
+  footer.hidden = true;
+  tabsBar.hidden = true;
+  emptyState.hidden = true;
+  meta.innerHTML = "";
+  clearRows();
+  loadingState.hidden = false;
+
+  const tabs = (
+    await chrome.tabs.query({
+      currentWindow: true,
+      url: getHostMatchPatterns(settings.githubHosts),
+    })
+  ).filter((tab) => isGitHubUrl(tab.url, settings.githubHosts));
+
+  let done = 0;
+  const updateProgress = () => {
+    loadingMessage.textContent = `Extracting ${done} of ${tabs.length} tabs...`;
+  };
+  updateProgress();
+  const reports = await Promise.all(
+    tabs.map(async (tab) => {
+      const report = await extractFromTab(tab);
+      done++;
+      updateProgress();
+      return report;
+    })
+  );
+  loadingMessage.textContent = "Extracting items...";
+
+  // Merge in tab order
+  const items = [];
+  const seen = new Set();
+  let duplicates = 0;
+  for (const report of reports) {
+    const response = report.response;
+    delete report.response;
+    if (!response) continue;
+
+    const source = {
+      url: response.url,
+      label: response.pageLabel,
+      owner: response.repo.owner,
+      repo: response.repo.repo,
+      title: report.title,
+    };
+    for (const item of response.items) {
+      if (seen.has(item.url)) {
+        duplicates++;
+        continue;
+      }
+      seen.add(item.url);
+      items.push({ ...item, source });
+      report.count++;
     }
+  }
 
-    // Call extractItems() directly via executeScript — no message passing needed.
-    // The content script is auto-loaded via manifest.json, so extractItems() is
-    // already available in the tab's isolated world.
-    let results;
-    try {
-      results = await chrome.scripting.executeScript({
-        target: { tabId: tab.id },
-        func: () => {
-          if (typeof extractItems === "function") {
-            return extractItems();
-          }
-          return null;
-        },
-      });
-    } catch {
-      showEmpty("Could not connect to this page. Try refreshing.");
-      return;
+  pageData = {
+    pageType: "tabs",
+    pageLabel: "All tabs",
+    repo: { owner: "", repo: "" },
+    url: "",
+    extractedAt: new Date().toISOString(),
+    items,
+    tabs: reports,
+    duplicates,
+  };
+  allItems = items;
+  selectedIds = new Set();
+  for (const item of allItems) {
+    if (keepSelection ? keepSelection.has(item.url) : settings.defaultSelection === "all") {
+      selectedIds.add(item.url);
     }
+  }
+
+  renderTabsBar();
+  if (tabs.length === 0 || items.length === 0) {
+    showEmpty(tabs.length ? "No items found in any GitHub tab." : "No GitHub tabs open in this window.");
+    return;
+  }
+  renderUI();
+  handleFilter();
+}
 
-    let response = results?.[0]?.result;
+/**
+ * One tab's extraction: `{ tabId, title, url, count, error, response }`.
+ * Never rejects — problems become the report's error.
+ */
+async function extractFromTab(tab) {
+  const report = { tabId: tab.id, title: tab.title || tab.url, url: tab.url, count: 0, error: null };
 
-    // If content script wasn't loaded yet, inject it and retry
-    if (!response) {
-      try {
-        await chrome.scripting.executeScript({
-          target: { tabId: tab.id },
-          files: ["content/content.js"],
-        });
-        results = await chrome.scripting.executeScript({
-          target: { tabId: tab.id },
-          func: () => {
-            if (typeof extractItems === "function") {
-              return extractItems();
-            }
-            return null;
-          },
-        });
-        response = results?.[0]?.result;
-      } catch {
-        showEmpty("Could not connect to this page. Try refreshing.");
-        return;
+  // Discarded tabs have no page to script until they're shown again
+  if (tab.discarded) {
+    return { ...report, error: "Tab is unloaded to save memory — open it, then refresh" };
+  }
+
+  let response;
+  try {
+    response = await runExtractItems(tab.id);
+  } catch {
+    return { ...report, error: "Could not connect — reload the tab and try again" };
+  }
+
+  if (!response) {
+    return { ...report, error: "Page didn't respond — reload the tab and try again" };
+  }
+  if (!response.success || !response.items?.length) {
+    return { ...report, error: response.error || "No items found" };
+  }
+  return { ...report, response };
+}
+
+function renderTabsBar() {
+  const reports = pageData?.tabs || [];
+  const failed = reports.filter((report) => report.error);
+  const noun = reports.length === 1 ? "tab" : "tabs";
+
+  tabsBar.hidden = false;
+  tabsInfo.textContent =
+    `${reports.length - failed.length} of ${reports.length} ${noun} · ${allItems.length} items` +
+    (pageData?.duplicates
+      ? ` · ${pageData.duplicates} duplicate${pageData.duplicates === 1 ? "" : "s"} merged`
+      : "");
+
+  tabsFailures.innerHTML = failed
+    .map(
+      (report) => `
+        <li class="tabs-bar__failure">
+          <a href="#" class="tabs-bar__tab" data-tab-id="${report.tabId}" title="${escapeAttr(report.url)}">${escapeHtml(report.title)}</a>
+          <span class="tabs-bar__error">${escapeHtml(report.error)}</span>
+        </li>`
+    )
+    .join("");
+}
+
+// ---- Pagination ----
+
+/**
+ * Asks the content script to follow pagination over a port; progress
+ * messages stream back until a final "done" carries the merged items.
+ */
+function startAllPages() {
+  if (pagesPort || activeTabId === null) return;
+
+  pagesPort = chrome.tabs.connect(activeTabId, { name: "extract-all-pages" });
+  setPagerBusy(true);
+  pagerLabel.textContent = "Fetching pages...";
+
+  pagesPort.onMessage.addListener((message) => {
+    if (message.type === "progress") {
+      pagerLabel.textContent = `Page ${message.pages} · ${message.total} items`;
+    } else if (message.type === "done") {
+      finishAllPages(message.result);
+    }
+  });
+
+  pagesPort.onDisconnect.addListener(() => {
+    if (!pagesPort) return;
+    pagesPort = null;
+    setPagerBusy(false);
+    pagerLabel.textContent = "Lost connection to the page. Try refreshing.";
+  });
+
+  pagesPort.postMessage({ action: "start" });
+}
+
+function finishAllPages(result) {
+  const port = pagesPort;
+  pagesPort = null;
+  port?.disconnect();
+  setPagerBusy(false);
+
+  if (!result?.success) {
+    pagerLabel.textContent = result?.error || "Could not extract more pages.";
+    return;
+  }
+
+  updatePageView((state) => {
+    // Keep the user's current selection; newly found items follow the
+    // default selection preference
+    if (settings.defaultSelection === "all") {
+      const known = new Set(state.allItems.map((item) => item.url));
+      for (const item of result.items) {
+        if (!known.has(item.url)) state.selectedIds.add(item.url);
       }
     }
+    return { allItems: result.items, pageData: result };
+  });
 
-    if (!response || !response.success || !response.items?.length) {
-      showEmpty(
-        response?.error || "No items found. Try a PRs, Issues, or Milestones page."
-      );
-      return;
+  const pages = `${result.pages} page${result.pages === 1 ? "" : "s"}`;
+  let status = `${pages} · ${result.items.length} items`;
+  if (result.cancelled) status += " (cancelled)";
+  if (result.error) status += ` — ${result.error}`;
+  pagerLabel.textContent = status;
+  allPagesBtn.hidden = !result.hasNextPage;
+
+  showToast(`Extracted ${result.items.length} items from ${pages}`);
+  enrichFromApi();
+}
+
+function setPagerBusy(busy) {
+  pagerProgress.hidden = !busy;
+  allPagesBtn.hidden = busy;
+  cancelPagesBtn.hidden = !busy;
+}
+
+// ---- API Enrichment ----
+
+/**
+ * With a token configured, replaces scraped fields with API data once it
+ * arrives. Runs in the background; the list stays usable meanwhile and
+ * keeps its page data for anything the API couldn't resolve.
+ */
+async function enrichFromApi() {
+  const items = getPageViewState().allItems;
+  if (!localSettings.apiToken || items.length === 0) return;
+
+  let result;
+  try {
+    result = await enrichItems(items, {
+      token: localSettings.apiToken,
+      baseUrl: settings.apiBaseUrl,
+    });
+  } catch (err) {
+    showToast(`GitHub API unavailable — ${err.message}`);
+    return;
+  }
+
+  if (result.enriched > 0) {
+    // allItems may have changed meanwhile (e.g. more pages), so merge by URL
+    const byUrl = new Map(
+      result.items.filter((item) => item.enriched).map((item) => [item.url, item])
+    );
+    updatePageView((state) => {
+      const merged = state.allItems.map((item) => byUrl.get(item.url) || item);
+      state.pageData.items = merged;
+      return { allItems: merged };
+    });
+  }
+
+  // Failed requests, and those a rejected token stopped before they ran
+  const missed = result.failed + result.skipped;
+  const overLimit = result.overLimit
+    ? ` (and ${result.overLimit} past the first ${MAX_API_ITEMS} items)`
+    : "";
+  if (missed > 0) {
+    showToast(
+      result.enriched > 0
+        ? `GitHub API: ${missed} items kept page data — ${result.error}${overLimit}`
+        : `GitHub API unavailable — ${result.error}${overLimit}`
+    );
+  } else if (result.overLimit > 0) {
+    showToast(
+      `GitHub API: only the first ${MAX_API_ITEMS} items are looked up — ${result.overLimit} kept page data`
+    );
+  }
+}
+
+// ---- Side Panel ----
+//
+// The popup page also runs as the browser's side panel (Chrome's
+// side_panel, Firefox's sidebar_action). The panel stays open while you
+// browse, so its page view follows the window's active tab: switching
+// tabs, navigating, and the content script reporting a changed list all
+// re-extract it.
+
+const PANEL_REFRESH_DELAY_MS = 300;
+
+/**
+ * Opens the side panel for this window and closes the popup. Both APIs
+ * only work from a user gesture, so nothing is awaited before the call.
+ */
+function openSidePanel() {
+  const opening = chrome.sidePanel
+    ? chrome.sidePanel.open({ windowId: currentWindowId })
+    : chrome.sidebarAction.open();
+  opening.then(
+    () => window.close(),
+    (err) => showToast(`Could not open the side panel: ${err.message}`)
+  );
+}
+
+function initSidePanel() {
+  document.body.classList.add("panel");
+
+  chrome.tabs.onActivated.addListener(({ windowId }) => {
+    if (windowId === currentWindowId) schedulePanelRefresh();
+  });
+  chrome.tabs.onUpdated.addListener((_tabId, changeInfo, tab) => {
+    if (isPanelTab(tab) && (changeInfo.url || changeInfo.status === "complete")) {
+      schedulePanelRefresh();
     }
+  });
+  // Sent on load, soft navigation and list changes; see content.js
+  chrome.runtime.onMessage.addListener((message, sender) => {
+    if (message.action === "itemCount" && sender.frameId === 0 && isPanelTab(sender.tab)) {
+      schedulePanelRefresh();
+    }
+  });
+}
 
-    pageData = response;
-    allItems = response.items;
+function isPanelTab(tab) {
+  return Boolean(tab?.active) && tab.windowId === currentWindowId;
+}
 
-    // Select all by default
-    for (const item of allItems) {
-      selectedIds.add(item.url);
+// Navigation fires several events (URL change, load complete, item count)
+// that should add up to one extraction
+function schedulePanelRefresh() {
+  clearTimeout(panelRefreshTimer);
+  panelRefreshTimer = setTimeout(refreshPanel, PANEL_REFRESH_DELAY_MS);
+}
+
+/**
+ * Re-extracts the active tab into the page view, on screen or not. URLs
+ * still on the page keep their selection; new ones follow the default
+ * selection preference.
+ */
+async function refreshPanel() {
+  // Let the first extraction (or an all-tabs run) finish first
+  if (!loadingState.hidden) {
+    schedulePanelRefresh();
+    return;
+  }
+
+  const { tab, response, error } = await extractActiveTab();
+  const previous = getPageViewState();
+  if (response && isPanelUpToDate(previous, response)) return;
+
+  // Pagination and enrichment belong to the page being replaced
+  if (pagesPort) {
+    const port = pagesPort;
+    pagesPort = null;
+    port.disconnect();
+    setPagerBusy(false);
+  }
+
+  if (error) {
+    activeTabId = null;
+    setPanelPage({ allItems: [], selectedIds: new Set(), pageData: null }, error);
+    return;
+  }
+
+  const known = new Set(previous.allItems.map((item) => item.url));
+  const selectNew = settings.defaultSelection === "all" || response.record;
+  const selected = new Set(
+    response.items
+      .filter((item) => (known.has(item.url) ? previous.selectedIds.has(item.url) : selectNew))
+      .map((item) => item.url)
+  );
+
+  // Another page gets its own history entry and order
+  if (previous.pageData?.url !== response.url) {
+    historyId = null;
+    if (view === "page") manualOrder = null;
+    else if (viewStates.page) viewStates.page.manualOrder = null;
+  }
+
+  activeTabId = tab.id;
+  setPanelPage({ allItems: response.items, selectedIds: selected, pageData: response }, "");
+  scheduleHistorySave();
+  enrichFromApi();
+}
+
+// Whether a fresh extraction would change nothing: the same page with the
+// same items, by the signature content.js adds to extractions and item
+// count reports. After "Extract all pages" it is still the first page's,
+// so the merged list stays until that page changes. Keeps the list (and
+// its API data) from being rebuilt on every unrelated DOM change.
+function isPanelUpToDate(previous, response) {
+  return (
+    previous.pageData?.url === response.url &&
+    previous.pageData.itemsSignature === response.itemsSignature
+  );
+}
+
+function setPanelPage(state, error) {
+  pageError = error;
+  if (view !== "page") {
+    viewStates.page = { ...viewStates.page, ...state };
+    return;
+  }
+
+  ({ allItems, selectedIds, pageData } = state);
+  if (sortBy === "manual" && !manualOrder) applySort(settings.sortBy);
+  if (!pageData) {
+    showEmptyView(error);
+    return;
+  }
+  renderUI();
+  handleFilter();
+}
+
+// ---- Views ----
+
+/**
+ * Swaps the list between the current page's items and the basket. Each
+ * view keeps its own items, selection and filter while off screen.
+ */
+async function switchView(name) {
+  // Wait for the page's own extraction before leaving it
+  if (name === view || !loadingState.hidden) return;
+
+  viewStates[view] = {
+    allItems,
+    selectedIds,
+    pageData,
+    filter: filterInput.value,
+    historyEntry,
+    manualOrder,
+  };
+  view = name;
+  for (const tab of viewTabs.querySelectorAll("[data-view]")) {
+    tab.classList.toggle("tabs__tab--active", tab.dataset.view === name);
+  }
+  closeTemplateEditor();
+  disarm(basketLink);
+  disarm(clearHistoryLink);
+  historyBar.hidden = name !== "history";
+  tabsBar.hidden = name !== "tabs";
+
+  // The all-tabs list groups by source tab unless the user picks otherwise
+  if (name === "tabs") applyGroup("tab");
+  else if (groupBy === "tab") applyGroup(settings.groupBy);
+
+  const saved = viewStates[name];
+  filterInput.value = saved?.filter || "";
+  manualOrder = saved?.manualOrder || null;
+  collapsedGroups = new Set();
+  if (sortBy === "manual" && !manualOrder) applySort(settings.sortBy);
+
+  if (name === "basket") {
+    // Reload: items may have been added from the page since the last visit
+    allItems = await loadBasket();
+    selectedIds = saved?.selectedIds || new Set(allItems.map((item) => item.url));
+    pageData = getBasketPageData(allItems);
+  } else if (name === "tabs") {
+    // Extract on the first visit, and again while there was nothing to show
+    if (!saved?.pageData?.items.length) {
+      await extractFromAllTabs();
+      return;
+    }
+    ({ allItems, selectedIds, pageData } = saved);
+  } else if (name === "history") {
+    historyEntries = await loadHistory();
+    if (!saved?.historyEntry) {
+      showHistoryList();
+      return;
     }
+    ({ allItems, selectedIds, pageData, historyEntry } = saved);
+  } else {
+    ({ allItems, selectedIds, pageData } = saved);
+  }
 
-    renderUI();
+  if (!pageData) {
+    showEmptyView(pageError);
+    return;
+  }
+
+  renderUI();
+  handleFilter();
+}
+
+// Hides the list and its controls for a view with nothing to show
+function showEmptyView(message) {
+  controls.hidden = true;
+  filterBar.hidden = true;
+  listBar.hidden = true;
+  footer.hidden = true;
+  pagerBar.hidden = true;
+  meta.innerHTML = "";
+  renderItems([]);
+  showEmpty(message);
+}
+
+function getBasketPageData(entries) {
+  return {
+    pageType: "basket",
+    pageLabel: "Basket",
+    repo: { owner: "", repo: "" },
+    url: "",
+    extractedAt: null,
+    items: entries,
+  };
+}
+
+function getPageViewState() {
+  return view === "page" ? { allItems, selectedIds, pageData } : viewStates.page;
+}
+
+/**
+ * Applies `update(state)` to the page view's state whether or not it is
+ * on screen — pagination and API enrichment can finish after a switch.
+ */
+function updatePageView(update) {
+  const state = getPageViewState();
+  const next = { ...state, ...update(state) };
+
+  if (view === "page") {
+    ({ allItems, selectedIds, pageData } = next);
+    handleFilter();
+  } else {
+    viewStates.page = { ...viewStates.page, ...next };
+  }
+  scheduleHistorySave();
+}
+
+/**
+ * Two-step links for destructive actions: the first click arms the link,
+ * a second one within a few seconds runs `action`.
+ */
+function confirmClick(link, action) {
+  if (link.dataset.armed) {
+    disarm(link);
+    action();
+    return;
+  }
+  link.dataset.armed = link.textContent;
+  link.textContent = "Click again to confirm";
+  setTimeout(() => disarm(link), 3000);
+}
+
+function disarm(link) {
+  if (!link.dataset.armed) return;
+  link.textContent = link.dataset.armed;
+  delete link.dataset.armed;
+}
+
+// ---- Basket ----
+function updateBasketCount(entries) {
+  basketCount.textContent = entries.length ? String(entries.length) : "";
+}
+
+function handleBasketChanged(entries) {
+  updateBasketCount(entries);
+  if (view !== "basket") return;
+
+  // Entries added elsewhere (e.g. the inline button) arrive selected
+  const known = new Set(allItems.map((item) => item.url));
+  for (const entry of entries) {
+    if (!known.has(entry.url)) selectedIds.add(entry.url);
+  }
+  const urls = new Set(entries.map((entry) => entry.url));
+  for (const url of selectedIds) {
+    if (!urls.has(url)) selectedIds.delete(url);
+  }
+
+  allItems = entries;
+  pageData = getBasketPageData(entries);
+  renderUI();
+  handleFilter();
+}
+
+async function handleAddToBasket() {
+  let items = getSelectedItems();
+  if (items.length === 0) items = getOutputItems();
+
+  let added, basket;
+  try {
+    ({ added, basket } = await addToBasket(items, {
+      url: pageData.url,
+      label: pageData.pageLabel,
+      owner: pageData.repo.owner,
+      repo: pageData.repo.repo,
+    }));
   } catch (err) {
-    showEmpty("Could not connect to this page. Try refreshing.");
-    console.error("PR Extractor:", err);
+    showToast(`Could not add to basket: ${err.message}`);
+    return;
+  }
+
+  const skipped = items.length - added;
+  showToast(
+    `Added ${added} to basket` +
+      (skipped ? ` (${skipped} already there)` : "") +
+      ` · ${basket.length} total`
+  );
+}
+
+function handleClearBasket() {
+  confirmClick(basketLink, () => {
+    clearBasket();
+    showToast("Basket cleared");
+  });
+}
+
+function handleBasketAction(action, url) {
+  const index = allItems.findIndex((item) => item.url === url);
+  if (index < 0) return;
+
+  // Moves follow the list as shown, which then becomes the basket's order
+  const entries = getOrderedItems();
+  const shown = entries.findIndex((item) => item.url === url);
+  if (action === "remove") {
+    entries.splice(shown, 1);
+    selectedIds.delete(url);
+  } else {
+    const target = action === "up" ? shown - 1 : shown + 1;
+    if (target < 0 || target >= entries.length) return;
+    [entries[shown], entries[target]] = [entries[target], entries[shown]];
+    showStoredOrder();
+  }
+
+  // The storage listener re-renders the list
+  saveBasket(entries);
+}
+
+function updateBasketLink() {
+  if (basketLink.dataset.armed) return;
+  basketLink.textContent = view === "basket" ? "Clear basket" : "Add to basket";
+  basketLink.hidden = view === "basket" && allItems.length === 0;
+}
+
+function getBasketRowHtml(item) {
+  const source = item.source || {};
+  const repo = source.owner && source.repo ? ` · ${source.owner}/${source.repo}` : "";
+  const from = source.label
+    ? `<span class="item__info" title="${escapeAttr(source.url || "")}">from ${escapeHtml(source.label + repo)}</span>`
+    : "";
+  const actions = `
+    <div class="item__actions">
+      <button class="item__action" data-basket-action="up" title="Move up">↑</button>
+      <button class="item__action" data-basket-action="down" title="Move down">↓</button>
+      <button class="item__action item__action--remove" data-basket-action="remove" title="Remove from basket">✕</button>
+    </div>
+  `;
+  return { from, actions };
+}
+
+// ---- History ----
+function getHistoryLimits() {
+  return {
+    maxEntries: settings.historyMaxEntries,
+    maxAgeDays: settings.historyMaxAgeDays,
+  };
+}
+
+/**
+ * Records the page view's items and selection. The first save of a popup
+ * session creates the entry; later ones (selection, more pages, API data)
+ * update it.
+ */
+async function saveToHistory() {
+  clearTimeout(historyTimer);
+  const state = getPageViewState();
+  if (settings.historyMaxEntries <= 0 || !state?.pageData) return;
+
+  try {
+    historyId = await recordExtraction(
+      { ...state.pageData, items: state.allItems },
+      state.selectedIds,
+      { id: historyId, limits: getHistoryLimits() }
+    );
+  } catch (err) {
+    showToast(`Could not save to history: ${err.message}`);
+  }
+}
+
+function scheduleHistorySave() {
+  clearTimeout(historyTimer);
+  historyTimer = setTimeout(saveToHistory, 400);
+}
+
+function handleHistoryChanged(entries) {
+  historyEntries = entries;
+  if (view === "history" && !historyEntry) renderHistoryList();
+}
+
+function showHistoryList() {
+  historyEntry = null;
+  allItems = [];
+  selectedIds = new Set();
+  pageData = null;
+
+  loadingState.hidden = true;
+  controls.hidden = true;
+  footer.hidden = true;
+  pagerBar.hidden = true;
+  filterBar.hidden = false;
+  // Searching history is always by substring
+  filterModeBtn.hidden = true;
+  listBar.hidden = true;
+  historyBack.hidden = true;
+  meta.innerHTML = '<span class="header__badge">History</span>';
+
+  renderHistoryList();
+}
+
+function renderHistoryList() {
+  const entries = searchHistory(historyEntries, filterInput.value);
+  const noun = historyEntries.length === 1 ? "extraction" : "extractions";
+  historyInfo.textContent = `${historyEntries.length} ${noun}`;
+  clearHistoryLink.hidden = historyEntries.length === 0;
+  filterCount.textContent = filterInput.value.trim()
+    ? `${entries.length}/${historyEntries.length}`
+    : "";
+
+  clearRows();
+
+  if (entries.length === 0) {
+    emptyState.hidden = false;
+    if (settings.historyMaxEntries <= 0) {
+      emptyMessage.textContent = "History is off. Turn it on in Options.";
+    } else {
+      emptyMessage.textContent = historyEntries.length
+        ? "No extractions match your search."
+        : "No past extractions yet.";
+    }
+    return;
   }
+
+  emptyState.hidden = true;
+  const fragment = document.createDocumentFragment();
+
+  for (const entry of entries) {
+    const row = document.createElement("div");
+    row.className = "item item--history";
+    row.dataset.historyId = entry.id;
+    row.title = entry.url || "";
+
+    const repoName = [entry.repo?.owner, entry.repo?.repo].filter(Boolean).join("/");
+    let title = repoName ? `${entry.pageLabel} · ${repoName}` : entry.pageLabel;
+    if (entry.record && entry.items[0]) {
+      const label = [entry.pageLabel, entry.items[0].number].filter(Boolean).join(" ");
+      title = `${label}: ${entry.items[0].title}`;
+    }
+    const count = `${entry.items.length} item${entry.items.length === 1 ? "" : "s"}`;
+
+    row.innerHTML = `
+      <div class="item__body">
+        <span class="item__title">${escapeHtml(title)}</span>
+        <div class="item__meta">
+          <span class="item__info">${escapeHtml(formatDate(entry.extractedAt || entry.savedAt))}</span>
+          <span class="item__info">${count}</span>
+          <span class="item__info">${entry.selected.length} selected</span>
+        </div>
+      </div>
+      <div class="item__actions">
+        <button class="item__action item__action--remove" data-history-action="remove" title="Remove from history">✕</button>
+      </div>
+    `;
+    fragment.appendChild(row);
+  }
+
+  itemRows.appendChild(fragment);
+}
+
+/**
+ * Re-opens a past extraction with its selection, ready to copy or
+ * download in any format.
+ */
+function openHistoryEntry(entry) {
+  historyEntry = entry;
+  historyQuery = filterInput.value;
+  filterInput.value = "";
+
+  allItems = entry.items;
+  selectedIds = new Set(entry.selected);
+  pageData = { ...entry };
+  manualOrder = null;
+  collapsedGroups = new Set();
+  if (sortBy === "manual") applySort(settings.sortBy);
+
+  historyBack.hidden = false;
+  clearHistoryLink.hidden = true;
+  historyInfo.textContent = `Extracted ${formatDate(entry.extractedAt || entry.savedAt)}`;
+
+  renderUI();
+  handleFilter();
 }
 
 // ---- Render ----
@@ -167,76 +1253,193 @@ function renderUI() {
   emptyState.hidden = true;
 
   // Meta
+  const repoName = [pageData.repo.owner, pageData.repo.repo].filter(Boolean).join("/");
   meta.innerHTML = `
-    <span class="header__badge">${pageData.pageLabel}</span>
-    <span>${pageData.repo.owner}/${pageData.repo.repo}</span>
+    <span class="header__badge">${escapeHtml(pageData.pageLabel)}</span>
+    ${repoName ? `<span>${escapeHtml(repoName)}</span>` : ""}
   `;
 
-  // Show controls
+  // Show controls; a single record has nothing to filter or select
   controls.hidden = false;
-  filterBar.hidden = false;
+  filterBar.hidden = Boolean(pageData.record);
+  filterModeBtn.hidden = false;
+  listBar.hidden = Boolean(pageData.record);
+  selectAllLink.hidden = Boolean(pageData.record);
   footer.hidden = false;
+  pagerBar.hidden = !pageData.hasNextPage;
+
+  changelogBtn.hidden = !CHANGELOG_PAGE_TYPES.has(pageData.pageType);
+  standupBtn.hidden = !STANDUP_PAGE_TYPES.has(pageData.pageType) && !pageData.record;
+  if (
+    (changelogBtn.hidden && activeFormat === "changelog") ||
+    (standupBtn.hidden && activeFormat === "standup")
+  ) {
+    setActiveFormat("markdown");
+  }
 
-  renderItems(allItems);
+  indexQueryItems(allItems);
+  updateSortOptions();
+  renderItems(getOrderedItems());
   updateFooter();
+  updateBasketLink();
+}
+
+function clearRows() {
+  listEntries = [];
+  listOffsets = [0];
+  renderedRows.clear();
+  itemRows.replaceChildren();
+  rowParking.replaceChildren();
+  itemRows.style.paddingTop = "";
+  itemRows.style.paddingBottom = "";
 }
 
 function renderItems(items) {
-  // Remove old items (keep states)
-  for (const el of [...itemList.children]) {
-    if (!el.classList.contains("state")) el.remove();
-  }
+  visibleItems = items;
 
   if (items.length === 0) {
+    clearRows();
     emptyState.hidden = false;
-    emptyMessage.textContent = "No items match your filter.";
+    emptyMessage.textContent =
+      view === "basket" && allItems.length === 0
+        ? "Your basket is empty. Add items from any GitHub page."
+        : "No items match your filter.";
     return;
   }
 
   emptyState.hidden = true;
 
-  const fragment = document.createDocumentFragment();
+  if (pageData?.record) {
+    clearRows();
+    itemRows.appendChild(createRecordCard(items[0]));
+    return;
+  }
 
-  for (const item of items) {
-    const row = document.createElement("div");
-    row.className = "item";
-    row.dataset.url = item.url;
+  // History rows or a record card may still be showing
+  if (renderedRows.size === 0) clearRows();
 
-    const typeBadge = getTypeBadge(item.url);
-    const numberHtml = item.number
-      ? `<span class="item__number">${item.number}</span>`
-      : "";
+  // Name each item's repository once the list spans more than one
+  if (listShowRepoFor !== allItems) {
+    listShowRepo = new Set(allItems.map(getItemRepo)).size > 1;
+    listShowRepoFor = allItems;
+  }
 
-    row.innerHTML = `
-      <input type="checkbox" class="item__checkbox"
-        ${selectedIds.has(item.url) ? "checked" : ""}
-        data-url="${escapeAttr(item.url)}" />
-      <div class="item__body">
-        <a class="item__title" href="${escapeAttr(item.url)}"
-          target="_blank" rel="noopener noreferrer"
-          title="${escapeAttr(item.title)}">${escapeHtml(item.title)}</a>
-        <div class="item__meta">
-          ${numberHtml}
-          ${typeBadge}
-        </div>
-      </div>
-    `;
+  const entries = [];
+  if (groupBy === "none") {
+    for (const item of items) entries.push({ kind: "item", key: item.url, item });
+  } else {
+    for (const group of getGroups(items)) {
+      const collapsed = collapsedGroups.has(group.key);
+      entries.push({ kind: "group", key: `group:${group.key}`, group, collapsed });
+      if (collapsed) continue;
+      for (const item of group.items) entries.push({ kind: "item", key: item.url, item });
+    }
+  }
 
-    const checkbox = row.querySelector(".item__checkbox");
-    checkbox.addEventListener("change", () => {
-      if (checkbox.checked) {
-        selectedIds.add(item.url);
-      } else {
-        selectedIds.delete(item.url);
-      }
-      updateFooter();
-      updateSelectAllLabel();
-    });
+  setListEntries(entries);
+}
 
-    fragment.appendChild(row);
-  }
+function fillItemRow(row, item) {
+  row.className = "item";
+  row.dataset.url = item.url;
+
+  const typeBadge = getTypeBadge(item.url);
+  const numberHtml = item.number
+    ? `<span class="item__number">${item.number}</span>`
+    : "";
+  const repo = listShowRepo && getItemRepo(item);
+  const repoHtml = repo ? `<span class="item__repo">${escapeHtml(repo)}</span>` : "";
+  row.title = getDatesTitle(item) || "";
+  const basketHtml = view === "basket" ? getBasketRowHtml(item) : { from: "", actions: "" };
+
+  row.innerHTML = `
+    <input type="checkbox" class="item__checkbox"
+      ${selectedIds.has(item.url) ? "checked" : ""}
+      data-url="${escapeAttr(item.url)}" />
+    <div class="item__body">
+      <a class="item__title" href="${escapeAttr(item.url)}"
+        target="_blank" rel="noopener noreferrer"
+        title="${escapeAttr(item.title)}">${getTitleHtml(item.title)}</a>
+      <div class="item__meta">
+        ${repoHtml}
+        ${numberHtml}
+        ${typeBadge}
+        ${getItemMetaHtml(item)}
+        ${basketHtml.from}
+      </div>
+    </div>
+    ${basketHtml.actions}
+  `;
+}
+
+function fillGroupHeader(header, group, collapsed) {
+  header.dataset.group = group.key;
+  header.title = collapsed ? "Expand" : "Collapse";
+  header.innerHTML = `
+    <span class="group__toggle">${collapsed ? "▸" : "▾"}</span>
+    <span class="group__name">${escapeHtml(group.key)}</span>
+    <span class="group__count">${group.items.length}</span>
+  `;
+}
 
-  itemList.appendChild(fragment);
+/**
+ * A single PR/issue read from its own page: title and state on top, then
+ * one row per field the page had.
+ */
+function createRecordCard(item) {
+  const card = document.createElement("div");
+  card.className = "item record";
+  card.dataset.url = item.url;
+
+  const logins = (list) => list.map((login) => `@${escapeHtml(login)}`).join(", ");
+  const links = (list) =>
+    list
+      .map(
+        (link) =>
+          `<a class="record__link" href="${escapeAttr(link.url)}" target="_blank" rel="noopener noreferrer" title="${escapeAttr(link.title)}">${link.number ? `<span class="item__number">${escapeHtml(link.number)}</span> ` : ""}${escapeHtml(link.title)}</a>`
+      )
+      .join("");
+  const labels = (list) =>
+    list
+      .map((label) => {
+        const style = /^#[0-9a-f]{6}$/i.test(label.color || "")
+          ? ` style="--label-color: ${label.color}"`
+          : "";
+        return `<span class="item__label"${style}>${escapeHtml(label.name)}</span>`;
+      })
+      .join("");
+
+  const rows = [
+    ["Branch", item.head && item.base ? `${escapeHtml(item.head)} → ${escapeHtml(item.base)}` : ""],
+    ["Author", item.author ? `@${escapeHtml(item.author)}` : ""],
+    ["Reviewers", item.reviewers?.length ? logins(item.reviewers) : ""],
+    ["Assignees", item.assignees?.length ? logins(item.assignees) : ""],
+    ["Labels", item.labels?.length ? labels(item.labels) : ""],
+    ["Milestone", item.milestone ? escapeHtml(item.milestone) : ""],
+    ["Linked", item.linkedIssues?.length ? links(item.linkedIssues) : ""],
+    ["Commits", item.commits?.length ? links(item.commits) : ""],
+    ["Opened", item.createdAt ? escapeHtml(formatDate(item.createdAt)) : ""],
+  ].filter(([, html]) => html);
+
+  const stateHtml = STATE_LABELS[item.state]
+    ? `<span class="item__state item__state--${item.state}">${STATE_LABELS[item.state]}</span>`
+    : "";
+
+  card.innerHTML = `
+    <div class="item__body">
+      <a class="item__title record__title" href="${escapeAttr(item.url)}"
+        target="_blank" rel="noopener noreferrer">${escapeHtml(item.title)}</a>
+      <div class="item__meta">
+        ${item.number ? `<span class="item__number">${escapeHtml(item.number)}</span>` : ""}
+        ${getTypeBadge(item.url)}
+        ${stateHtml}
+      </div>
+      <dl class="record__fields">
+        ${rows.map(([name, html]) => `<dt>${name}</dt><dd>${html}</dd>`).join("")}
+      </dl>
+    </div>
+  `;
+  return card;
 }
 
 function getTypeBadge(url) {
@@ -252,63 +1455,517 @@ function getTypeBadge(url) {
   return "";
 }
 
+const STATE_LABELS = {
+  open: "Open",
+  closed: "Closed",
+  merged: "Merged",
+  draft: "Draft",
+};
+
+/**
+ * State pill, labels, people, milestone and comment count for rows that
+ * carry metadata (PR/issue lists). Renders nothing for plain link items.
+ */
+function getItemMetaHtml(item) {
+  const parts = [];
+
+  if (item.state && STATE_LABELS[item.state]) {
+    parts.push(
+      `<span class="item__state item__state--${item.state}">${STATE_LABELS[item.state]}</span>`
+    );
+  }
+
+  for (const label of item.labels || []) {
+    const style = /^#[0-9a-f]{6}$/i.test(label.color || "")
+      ? ` style="--label-color: ${label.color}"`
+      : "";
+    parts.push(`<span class="item__label"${style}>${escapeHtml(label.name)}</span>`);
+  }
+
+  if (item.author) {
+    parts.push(`<span class="item__info">by @${escapeHtml(item.author)}</span>`);
+  }
+
+  if (item.assignees?.length) {
+    const people = item.assignees.map((login) => `@${login}`).join(", ");
+    parts.push(`<span class="item__info" title="Assignees">→ ${escapeHtml(people)}</span>`);
+  }
+
+  if (item.milestone) {
+    parts.push(
+      `<span class="item__info" title="Milestone">◷ ${escapeHtml(item.milestone)}</span>`
+    );
+  }
+
+  if (item.comments) {
+    const noun = item.comments === 1 ? "comment" : "comments";
+    parts.push(`<span class="item__info">${item.comments} ${noun}</span>`);
+  }
+
+  return parts.join("");
+}
+
+function getDatesTitle(item) {
+  const lines = [];
+  if (item.createdAt) lines.push(`Created ${formatDate(item.createdAt)}`);
+  if (item.updatedAt) lines.push(`Updated ${formatDate(item.updatedAt)}`);
+  return lines.join("\n");
+}
+
+function formatDate(iso) {
+  const date = new Date(iso);
+  return Number.isNaN(date.getTime()) ? iso : date.toLocaleString();
+}
+
 // ---- Filter ----
+
+// Long lists re-filter on every keystroke otherwise
+const FILTER_DEBOUNCE_MS = 120;
+
 function handleFilter() {
-  const query = filterInput.value.toLowerCase().trim();
+  clearTimeout(filterTimer);
+
+  if (view === "history" && !historyEntry) {
+    showFilterError(null);
+    renderHistoryList();
+    return;
+  }
 
-  if (!query) {
-    renderItems(allItems);
+  // See shared/query.js for the syntax
+  const query = getFilterQuery();
+  const ordered = getOrderedItems();
+  showFilterError(query.error);
+
+  // An invalid query leaves the list unfiltered instead of matching nothing
+  if (query.error || query.terms.length === 0) {
+    filterQuery = { terms: [] };
+    rankedUrls = null;
+    renderItems(ordered);
     filterCount.textContent = "";
     updateFooter();
     return;
   }
 
-  const filtered = allItems.filter(
-    (item) =>
-      item.title.toLowerCase().includes(query) ||
-      (item.number && item.number.includes(query))
-  );
+  filterQuery = query;
+  const filtered = ordered.filter((item) => matchesQuery(item, query));
+
+  // Fuzzy matches are listed best first; ties keep the chosen order
+  if (isRankedQuery(query)) {
+    const scores = new Map(filtered.map((item) => [item, scoreQuery(item, query)]));
+    filtered.sort((a, b) => scores.get(b) - scores.get(a));
+    rankedUrls = new Map(filtered.map((item, i) => [item.url, i]));
+  } else {
+    rankedUrls = null;
+  }
 
   renderItems(filtered);
   filterCount.textContent = `${filtered.length}/${allItems.length}`;
-  highlightMatches(query);
   updateFooter();
 }
 
-function highlightMatches(query) {
-  for (const titleEl of itemList.querySelectorAll(".item__title")) {
-    const text = titleEl.textContent;
-    const idx = text.toLowerCase().indexOf(query);
-    if (idx >= 0) {
-      titleEl.innerHTML =
-        escapeHtml(text.slice(0, idx)) +
-        `<mark>${escapeHtml(text.slice(idx, idx + query.length))}</mark>` +
-        escapeHtml(text.slice(idx + query.length));
+function getFilterQuery() {
+  return parseQuery(filterInput.value, allItems, { fuzzy: filterMode === "fuzzy" });
+}
+
+function applyFilterMode(mode) {
+  filterMode = mode === "fuzzy" ? "fuzzy" : "exact";
+  const fuzzy = filterMode === "fuzzy";
+  filterModeBtn.textContent = fuzzy ? "Fuzzy" : "Exact";
+  filterModeBtn.setAttribute("aria-pressed", String(fuzzy));
+  filterModeBtn.title = fuzzy
+    ? "Fuzzy: words match scattered letters (\"dup acct\"), best matches first — click for exact"
+    : "Exact: words match as written — click for fuzzy matching";
+}
+
+function showFilterError(message) {
+  filterBar.classList.toggle("filter-bar--invalid", Boolean(message));
+  filterError.textContent = message || "";
+  filterError.hidden = !message;
+}
+
+// Title markup with the current filter's matches in <mark>
+function getTitleHtml(text) {
+  const ranges = getQueryHighlightRanges(text, filterQuery);
+  if (ranges.length === 0) return escapeHtml(text);
+
+  let html = "";
+  let pos = 0;
+  for (const [start, end] of ranges) {
+    html += `${escapeHtml(text.slice(pos, start))}<mark>${escapeHtml(text.slice(start, end))}</mark>`;
+    pos = end;
+  }
+  return html + escapeHtml(text.slice(pos));
+}
+
+// ---- Sorting & Grouping ----
+//
+// allItems stays in page order; getOrderedItems() applies the chosen sort
+// (or the dragged order) and groups, and is what gets rendered, copied,
+// downloaded and added to the basket. The result is reused until the
+// items, sort, grouping or dragged order change.
+
+const STATE_ORDER = ["open", "draft", "merged", "closed"];
+
+// Sort key → value to compare; items without one sort last either way
+const SORT_KEYS = {
+  number: (item) => (item.number ? parseInt(item.number.replace(/\D/g, ""), 10) : null),
+  title: (item) => item.title.toLowerCase(),
+  type: (item) => getItemTypeName(item),
+  repo: (item) => getItemRepo(item),
+  state: (item) => (STATE_ORDER.includes(item.state) ? STATE_ORDER.indexOf(item.state) : null),
+  updated: (item) => item.updatedAt || item.createdAt || null,
+};
+
+const GROUP_KEYS = {
+  type: (item) => getItemTypeName(item) || "Other",
+  repo: (item) => getItemRepo(item) || "Other",
+  tab: (item) => item.source?.title || "Other",
+};
+
+function getItemTypeName(item) {
+  return TYPE_NAMES[parseGitHubUrl(item.url)?.kind] || null;
+}
+
+// Items from older history entries and baskets predate item.owner/repo
+function getItemRepo(item) {
+  const { owner, repo } = item.owner ? item : getUrlRepo(item.url);
+  return owner && repo ? `${owner}/${repo}` : null;
+}
+
+function compareItems(key, descending) {
+  const read = SORT_KEYS[key];
+  return (a, b) => {
+    const x = read(a);
+    const y = read(b);
+    if (x === null || y === null) return (x === null) - (y === null);
+    const order = typeof x === "string" ? x.localeCompare(y, undefined, { numeric: true }) : x - y;
+    return descending ? -order : order;
+  };
+}
+
+function getOrderedItems() {
+  const inputs = [allItems, sortBy, sortDescending, groupBy, manualOrder];
+  if (!orderCache || orderCache.inputs.some((input, i) => input !== inputs[i])) {
+    orderCache = { inputs, items: orderItems() };
+  }
+  return orderCache.items;
+}
+
+function orderItems() {
+  let items = allItems;
+
+  if (sortBy === "manual" && manualOrder) {
+    // Items that arrived after the drag (more pages) keep page order at the end
+    const position = new Map(manualOrder.map((url, i) => [url, i]));
+    const rank = (item) => position.get(item.url) ?? manualOrder.length;
+    items = [...items].sort((a, b) => rank(a) - rank(b));
+  } else if (SORT_KEYS[sortBy]) {
+    items = [...items].sort(compareItems(sortBy, sortDescending));
+  } else if (sortDescending) {
+    items = [...items].reverse();
+  }
+
+  if (groupBy !== "none") {
+    items = getGroups(items).flatMap((group) => group.items);
+  }
+  return items;
+}
+
+/**
+ * Groups in order of their first item, keeping the items' order.
+ */
+function getGroups(items) {
+  const groups = new Map();
+  for (const item of items) {
+    const key = GROUP_KEYS[groupBy](item);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(item);
+  }
+  return [...groups].map(([key, groupItems]) => ({ key, items: groupItems }));
+}
+
+function applySort(by) {
+  sortBy = SORT_KEYS[by] || by === "manual" ? by : "page";
+  sortSelect.value = sortBy;
+  sortSelect.querySelector('[value="manual"]').hidden = sortBy !== "manual";
+  sortDirBtn.disabled = sortBy === "manual";
+  sortDirBtn.textContent = sortDescending ? "↑" : "↓";
+  sortDirBtn.title = sortDescending ? "Descending — click to reverse" : "Ascending — click to reverse";
+}
+
+function applyGroup(by) {
+  groupBy = GROUP_KEYS[by] && (by !== "tab" || view === "tabs") ? by : "none";
+  groupSelect.value = groupBy;
+  groupSelect.querySelector('[value="tab"]').hidden = view !== "tabs";
+}
+
+// After the basket is reordered, show it as stored rather than re-sorted
+function showStoredOrder() {
+  sortDescending = false;
+  applySort("page");
+}
+
+// Sorting by state or date only makes sense when the page provided them
+function updateSortOptions() {
+  for (const option of sortSelect.options) {
+    const read = SORT_KEYS[option.value];
+    if (read) option.disabled = !allItems.some((item) => read(item) !== null);
+  }
+}
+
+// ---- Drag to Reorder ----
+
+// Only list rows are draggable; history rows and the record card aren't
+const DRAGGABLE_ROW = '.item[draggable="true"]';
+
+function handleDragStart(e) {
+  const row = e.target.closest?.(DRAGGABLE_ROW);
+  if (!row) return;
+  dragUrl = row.dataset.url;
+  row.classList.add("item--dragging");
+  e.dataTransfer.effectAllowed = "move";
+  // Dropped outside the popup, the row is just its link
+  e.dataTransfer.setData("text/uri-list", dragUrl);
+  e.dataTransfer.setData("text/plain", dragUrl);
+}
+
+function getDropTarget(e) {
+  const row = e.target.closest?.(DRAGGABLE_ROW);
+  if (!dragUrl || !row || row.dataset.url === dragUrl) return null;
+
+  // A ranked list isn't in an order a drop could be placed in
+  if (isRankedQuery(filterQuery)) return null;
+
+  // Rows only move within their group
+  if (groupBy !== "none") {
+    const byUrl = (url) => allItems.find((item) => item.url === url);
+    const groupOf = GROUP_KEYS[groupBy];
+    if (groupOf(byUrl(dragUrl)) !== groupOf(byUrl(row.dataset.url))) return null;
+  }
+
+  const rect = row.getBoundingClientRect();
+  return { row, after: e.clientY > rect.top + rect.height / 2 };
+}
+
+function handleDragOver(e) {
+  const target = getDropTarget(e);
+  clearDropMarker();
+  if (!target) return;
+  e.preventDefault();
+  e.dataTransfer.dropEffect = "move";
+  target.row.classList.add(target.after ? "item--drop-after" : "item--drop-before");
+}
+
+function clearDropMarker() {
+  for (const row of itemList.querySelectorAll(".item--drop-before, .item--drop-after")) {
+    row.classList.remove("item--drop-before", "item--drop-after");
+  }
+}
+
+function handleDrop(e) {
+  const target = getDropTarget(e);
+  if (!target) return;
+  e.preventDefault();
+  moveItem(dragUrl, target.row.dataset.url, target.after);
+}
+
+function handleDragEnd() {
+  dragUrl = null;
+  clearDropMarker();
+  itemList.querySelector(".item--dragging")?.classList.remove("item--dragging");
+  // Let go of the dragged row if it was scrolled out of view
+  scheduleListWindow();
+}
+
+/**
+ * Moves an item before or after another in the list as shown. The result
+ * becomes a custom order — or, in the basket, the basket's stored order.
+ */
+function moveItem(url, targetUrl, after) {
+  const order = getOrderedItems();
+  const moved = order.find((item) => item.url === url);
+  const rest = order.filter((item) => item.url !== url);
+  const index = rest.findIndex((item) => item.url === targetUrl);
+  if (!moved || index < 0) return;
+  rest.splice(after ? index + 1 : index, 0, moved);
+
+  if (view === "basket") {
+    showStoredOrder();
+    // The storage listener re-renders the list
+    saveBasket(rest);
+    return;
+  }
+
+  manualOrder = rest.map((item) => item.url);
+  applySort("manual");
+  handleFilter();
+  if (view === "page") scheduleHistorySave();
+}
+
+// ---- Virtual List ----
+//
+// Only the entries in view, plus a few either side, have rows in the DOM.
+// Rows leaving the window go back to a pool and are refilled for the ones
+// coming in, and the list's padding stands in for everything else. Rows
+// vary in height (labels wrap, headers are short), so each is measured
+// once drawn and estimated until then.
+
+const LIST_OVERSCAN = 8;
+const ROW_HEIGHT_ESTIMATES = { item: 54, group: 24 };
+// Before the popup has laid out, draw enough rows to fill it
+const LIST_FALLBACK_HEIGHT = 600;
+
+/**
+ * Shows a new list. Rows already drawn are refilled in place rather than
+ * rebuilt, so filtering a long list only touches what's on screen.
+ */
+function setListEntries(entries) {
+  listEntries = entries;
+  listGeneration++;
+  updateListOffsets();
+  renderListWindow();
+}
+
+function updateListOffsets() {
+  listOffsets = new Array(listEntries.length + 1);
+  listOffsets[0] = 0;
+  listEntries.forEach((entry, i) => {
+    listOffsets[i + 1] = listOffsets[i] + (rowHeights.get(entry.key) ?? ROW_HEIGHT_ESTIMATES[entry.kind]);
+  });
+}
+
+// Index of the entry at `y` (clamped to the list)
+function findEntryAt(y) {
+  let low = 0;
+  let high = listEntries.length - 1;
+  while (low < high) {
+    const mid = Math.ceil((low + high) / 2);
+    if (listOffsets[mid] <= y) low = mid;
+    else high = mid - 1;
+  }
+  return low;
+}
+
+function scheduleListWindow() {
+  if (listFrame) return;
+  listFrame = requestAnimationFrame(() => {
+    listFrame = null;
+    renderListWindow();
+  });
+}
+
+function renderListWindow() {
+  if (listEntries.length === 0) return;
+
+  const top = Math.max(0, itemList.scrollTop - itemRows.offsetTop);
+  const height = itemList.clientHeight || LIST_FALLBACK_HEIGHT;
+  const start = Math.max(0, findEntryAt(top) - LIST_OVERSCAN);
+  const end = Math.min(listEntries.length, findEntryAt(top + height) + 1 + LIST_OVERSCAN);
+
+  const inWindow = new Set();
+  for (let i = start; i < end; i++) inWindow.add(listEntries[i].key);
+
+  for (const [key, { row, kind }] of renderedRows) {
+    if (inWindow.has(key)) continue;
+    // The row being dragged has to stay in the document for dragend
+    if (key === dragUrl) {
+      rowParking.appendChild(row);
+      continue;
+    }
+    renderedRows.delete(key);
+    row.remove();
+    rowPool[kind].push(row);
+  }
+
+  let previous = null;
+  for (let i = start; i < end; i++) {
+    const entry = listEntries[i];
+    const row = getListRow(entry);
+    const next = previous ? previous.nextSibling : itemRows.firstChild;
+    if (row !== next) itemRows.insertBefore(row, next);
+    previous = row;
+  }
+
+  measureRows();
+  itemRows.style.paddingTop = `${listOffsets[start]}px`;
+  itemRows.style.paddingBottom = `${listOffsets[listEntries.length] - listOffsets[end]}px`;
+}
+
+// The entry's row: the one already drawn, refilled if the list changed, or
+// one from the pool
+function getListRow(entry) {
+  const rendered = renderedRows.get(entry.key);
+  if (rendered?.generation === listGeneration) return rendered.row;
+
+  let row = rendered?.row || rowPool[entry.kind].pop();
+  if (!row) {
+    row = document.createElement("div");
+    if (entry.kind === "group") {
+      row.className = "group";
+    } else {
+      row.draggable = true;
     }
   }
+
+  if (entry.kind === "group") {
+    fillGroupHeader(row, entry.group, entry.collapsed);
+  } else {
+    fillItemRow(row, entry.item);
+  }
+  renderedRows.set(entry.key, { row, kind: entry.kind, generation: listGeneration });
+  return row;
 }
 
-// ---- Selection ----
-function getVisibleItems() {
-  const query = filterInput.value.toLowerCase().trim();
-  if (!query) return allItems;
-  return allItems.filter(
-    (item) =>
-      item.title.toLowerCase().includes(query) ||
-      (item.number && item.number.includes(query))
-  );
+function measureRows() {
+  let changed = false;
+  for (const [key, { row }] of renderedRows) {
+    const height = row.offsetHeight;
+    if (height && height !== rowHeights.get(key)) {
+      rowHeights.set(key, height);
+      changed = true;
+    }
+  }
+  if (changed) updateListOffsets();
 }
 
+// ---- Selection ----
+
 function getSelectedItems() {
-  return allItems.filter((item) => selectedIds.has(item.url));
+  return getOutputItems().filter((item) => selectedIds.has(item.url));
+}
+
+/**
+ * Items in the order they're shown, for copying and exporting: the
+ * chosen order, or ranked best match first under a fuzzy query, with
+ * items the query hides after the matches.
+ */
+function getOutputItems() {
+  const ordered = getOrderedItems();
+  if (!rankedUrls) return ordered;
+  const rank = (item) => rankedUrls.get(item.url) ?? rankedUrls.size;
+  return [...ordered].sort((a, b) => rank(a) - rank(b));
 }
 
+// Only rows on screen exist; the rest pick up the selection when drawn
 function updateCheckboxes() {
   for (const cb of itemList.querySelectorAll(".item__checkbox")) {
     cb.checked = selectedIds.has(cb.dataset.url);
   }
 }
 
+function handleCheckboxChange(e) {
+  const checkbox = e.target.closest(".item__checkbox");
+  if (!checkbox) return;
+
+  if (checkbox.checked) {
+    selectedIds.add(checkbox.dataset.url);
+  } else {
+    selectedIds.delete(checkbox.dataset.url);
+  }
+  updateFooter();
+  if (view === "page") scheduleHistorySave();
+}
+
 function updateFooter() {
   const selected = selectedIds.size;
   totalCount.textContent = `${selected} of ${allItems.length} selected`;
@@ -317,11 +1974,163 @@ function updateFooter() {
 }
 
 function updateSelectAllLabel() {
-  const visibleItems = getVisibleItems();
   const allSelected = visibleItems.every((item) => selectedIds.has(item.url));
   selectAllLink.textContent = allSelected ? "Deselect All" : "Select All";
 }
 
+// ---- Formats & Templates ----
+function setActiveFormat(format) {
+  activeFormat = format;
+  for (const b of $$("[data-format]")) {
+    b.classList.toggle("btn--active", b.dataset.format === format);
+  }
+  // Markup dialects share one dropdown
+  const isDialect = Boolean(MARKUP_DIALECTS[format]);
+  dialectSelect.value = isDialect ? format : "";
+  dialectSelect.classList.toggle("btn--active", isDialect);
+}
+
+function renderDialectOptions() {
+  for (const format of BUILTIN_FORMATS.filter((f) => MARKUP_DIALECTS[f.id])) {
+    const option = document.createElement("option");
+    option.value = format.id;
+    option.textContent = format.label;
+    dialectSelect.appendChild(option);
+  }
+}
+
+function findTemplate(format) {
+  if (!format.startsWith("template:")) return null;
+  return templates.find((t) => `template:${t.id}` === format) || null;
+}
+
+function renderTemplateButtons() {
+  customFormats.innerHTML = "";
+  for (const template of templates) {
+    const btn = document.createElement("button");
+    btn.className = "btn btn--format";
+    btn.dataset.format = `template:${template.id}`;
+    btn.dataset.templateId = template.id;
+    btn.title = `Copy with "${template.name}" — double-click to edit`;
+    btn.textContent = template.name;
+    customFormats.appendChild(btn);
+  }
+
+  // The active template may have just been deleted
+  if (activeFormat.startsWith("template:") && !findTemplate(activeFormat)) {
+    activeFormat = "markdown";
+  }
+  setActiveFormat(activeFormat);
+}
+
+function openTemplateEditor(template) {
+  editingTemplate = template;
+  const draft = template || createTemplate();
+
+  templatePanelTitle.textContent = template ? "Edit template" : "New template";
+  templateName.value = draft.name;
+  for (const variant of ["text", "html"]) {
+    for (const [part, input] of Object.entries(templatePartInputs[variant])) {
+      input.value = draft[variant]?.[part] || "";
+    }
+  }
+  deleteTemplateBtn.hidden = !template;
+  templateError.hidden = true;
+
+  templatePanel.hidden = false;
+  itemList.hidden = true;
+  updateTemplatePreview();
+  templateName.focus();
+}
+
+function closeTemplateEditor() {
+  editingTemplate = null;
+  templatePanel.hidden = true;
+  itemList.hidden = false;
+}
+
+function readTemplateForm() {
+  const template = {
+    id: editingTemplate?.id || createTemplate().id,
+    name: templateName.value.trim(),
+  };
+  for (const variant of ["text", "html"]) {
+    template[variant] = {};
+    for (const [part, input] of Object.entries(templatePartInputs[variant])) {
+      template[variant][part] = input.value;
+    }
+  }
+  return template;
+}
+
+function updateTemplatePreview() {
+  const template = readTemplateForm();
+  const sample = (getSelectedItems().length ? getSelectedItems() : getOutputItems()).slice(0, 3);
+
+  templatePreview.textContent = sample.length
+    ? renderTemplate(template, sample, {
+        withNumbers: includeNumbers.checked,
+        context: getTemplateContext(),
+      })
+    : "Preview appears once items are extracted.";
+}
+
+async function handleSaveTemplate() {
+  const template = readTemplateForm();
+  const problem = validateTemplate(template);
+  if (problem) {
+    templateError.textContent = problem;
+    templateError.hidden = false;
+    return;
+  }
+
+  const index = templates.findIndex((t) => t.id === template.id);
+  if (index >= 0) {
+    templates[index] = template;
+  } else {
+    templates.push(template);
+  }
+
+  try {
+    await saveTemplates(templates);
+  } catch (err) {
+    templateError.textContent = `Could not save: ${err.message}`;
+    templateError.hidden = false;
+    return;
+  }
+
+  renderTemplateButtons();
+  setActiveFormat(`template:${template.id}`);
+  closeTemplateEditor();
+  showToast(`Saved template "${template.name}"`);
+}
+
+async function handleDeleteTemplate() {
+  if (!editingTemplate) return;
+  const name = editingTemplate.name;
+  const remaining = templates.filter((t) => t.id !== editingTemplate.id);
+  try {
+    await saveTemplates(remaining);
+  } catch (err) {
+    showToast(`Could not delete template: ${err.message}`);
+    return;
+  }
+
+  templates = remaining;
+  renderTemplateButtons();
+  closeTemplateEditor();
+  showToast(`Deleted template "${name}"`);
+}
+
+function getTemplateContext() {
+  return {
+    pageLabel: pageData?.pageLabel || "",
+    owner: pageData?.repo?.owner || "",
+    repo: pageData?.repo?.repo || "",
+    url: pageData?.url || "",
+  };
+}
+
 // ---- Copy ----
 
 /**
@@ -346,91 +2155,68 @@ function handleCopy() {
 
   // If nothing selected, copy all
   if (items.length === 0) {
-    items = allItems;
+    items = getOutputItems();
   }
 
-  const withNumbers = includeNumbers.checked;
-  const format = activeFormat;
-  const plainText = formatPlainText(items, format, withNumbers);
-  const html = formatHtml(items, withNumbers);
+  const output = buildOutput(items, activeFormat, includeNumbers.checked);
 
-  // For CSV and plain formats, just write plain text (no rich text needed)
-  if (format === "csv" || format === "plain") {
-    navigator.clipboard.writeText(plainText).then(() => {
+  // Rich formats write HTML too, so Slack/Notion get clickable links;
+  // formats without an HTML variant are written as plain text only
+  const copied = output.html
+    ? copyRichText(output.html, output.text)
+    : navigator.clipboard.writeText(output.text);
+
+  copied
+    .then(() => {
       showCopySuccess();
-      showToast(`Copied ${items.length} items as ${format}`);
-    });
-    return;
-  }
+      showToast(`Copied ${items.length} items as ${output.label}`);
+    })
+    .catch((err) => showToast(`Copy failed: ${err.message}`));
+}
 
-  // For Markdown and HTML formats, write rich text so Slack/Notion get clickable links
-  copyRichText(html, plainText).then(() => {
-    showCopySuccess();
-    showToast(`Copied ${items.length} items as rich text`);
+function buildOutput(items, format, withNumbers) {
+  return renderOutput(items, format, {
+    withNumbers,
+    templates,
+    context: getTemplateContext(),
+    changelogLabels: settings.changelogLabels,
+    spreadsheet: getSpreadsheetOptions(settings),
   });
 }
 
-/**
- * Generate HTML with clickable links — this is what Slack/Notion/Docs read.
- */
-function formatHtml(items, withNumbers) {
-  if (items.length === 1) {
-    const item = items[0];
-    const suffix = withNumbers && item.number ? ` ${item.number}` : "";
-    return `<a href="${escapeAttr(item.url)}">${escapeHtml(item.title + suffix)}</a>`;
+// ---- Download ----
+function renderDownloadFormats() {
+  for (const format of EXPORT_FORMATS) {
+    const option = document.createElement("option");
+    option.value = format.id;
+    option.textContent = format.label;
+    option.selected = format.id === settings.downloadFormat;
+    downloadFormat.appendChild(option);
   }
-
-  const listItems = items
-    .map((item) => {
-      const suffix = withNumbers && item.number ? ` ${item.number}` : "";
-      return `<li><a href="${escapeAttr(item.url)}">${escapeHtml(item.title + suffix)}</a></li>`;
-    })
-    .join("");
-
-  return `<ul>${listItems}</ul>`;
 }
 
-/**
- * Generate plain text fallback for editors that don't support HTML paste.
- */
-function formatPlainText(items, format, withNumbers) {
-  switch (format) {
-    case "markdown":
-      return items
-        .map((item) => {
-          const suffix = withNumbers && item.number ? ` ${item.number}` : "";
-          return `- [${item.title}${suffix}](${item.url})`;
-        })
-        .join("\n");
-
-    case "plain":
-      return items
-        .map((item) => {
-          const suffix = withNumbers && item.number ? ` ${item.number}` : "";
-          return `${item.title}${suffix} — ${item.url}`;
-        })
-        .join("\n");
-
-    case "html":
-      return items
-        .map((item) => {
-          const suffix = withNumbers && item.number ? ` ${item.number}` : "";
-          return `<a href="${escapeAttr(item.url)}">${escapeHtml(item.title + suffix)}</a>`;
-        })
-        .join("\n");
-
-    case "csv": {
-      const header = "Title,Number,URL";
-      const rows = items.map((item) => {
-        const num = item.number || "";
-        const title = `"${item.title.replace(/"/g, '""')}"`;
-        return `${title},${num},${item.url}`;
-      });
-      return [header, ...rows].join("\n");
-    }
+async function handleDownload() {
+  let items = getSelectedItems();
+  if (items.length === 0) items = getOutputItems();
+
+  const { content, mime, extension } = buildExport(downloadFormat.value, items, pageData, {
+    withNumbers: includeNumbers.checked,
+    spreadsheet: getSpreadsheetOptions(settings),
+  });
+  const url = URL.createObjectURL(new Blob([content], { type: mime }));
 
-    default:
-      return "";
+  try {
+    await chrome.downloads.download({
+      url,
+      filename: getExportFilename(pageData, extension),
+      saveAs: false,
+    });
+    showToast(`Downloaded ${items.length} items as ${extension.toUpperCase()}`);
+  } catch (err) {
+    showToast(`Download failed: ${err.message}`);
+  } finally {
+    // The download has its own copy once started; give it a moment
+    setTimeout(() => URL.revokeObjectURL(url), 10000);
   }
 }
 
@@ -457,27 +2243,16 @@ function showToast(message) {
   toast.textContent = message;
   toast.classList.add("toast--visible");
 
-  setTimeout(() => toast.classList.remove("toast--visible"), 2000);
+  clearTimeout(toast._hideTimer);
+  toast._hideTimer = setTimeout(
+    () => toast.classList.remove("toast--visible"),
+    settings.toastDuration
+  );
 }
 
 function showEmpty(message) {
+  if (view === "page") pageError = message;
   loadingState.hidden = true;
   emptyState.hidden = false;
   emptyMessage.textContent = message;
 }
-
-// ---- Utils ----
-function escapeHtml(str) {
-  const div = document.createElement("div");
-  div.textContent = str;
-  return div.innerHTML;
-}
-
-function escapeAttr(str) {
-  return str
-    .replace(/&/g, "&amp;")
-    .replace(/"/g, "&quot;")
-    .replace(/'/g, "&#39;")
-    .replace(/</g, "&lt;")
-    .replace(/>/g, "&gt;");
-}
@@ -0,0 +1,58 @@
+"use strict";
+
+/**
+ * GitHub Extractor — Collection Basket
+ *
+ * A persistent list of items gathered across pages, kept in
+ * chrome.storage.local. Entries are deduped by URL and remember the page
+ * they were added from:
+ *
+ *   { ...item, source: { url, label, owner, repo }, addedAt }
+ *
+ * Items that already name their source (from the popup's all-tabs list)
+ * keep it.
+ */
+
+const BASKET_STORAGE_KEY = "basket";
+
+async function loadBasket() {
+  const stored = await chrome.storage.local.get({ [BASKET_STORAGE_KEY]: [] });
+  return stored[BASKET_STORAGE_KEY];
+}
+
+function saveBasket(entries) {
+  return chrome.storage.local.set({ [BASKET_STORAGE_KEY]: entries });
+}
+
+/**
+ * Appends items that aren't in the basket yet. Resolves to the number
+ * added and the updated basket.
+ */
+async function addToBasket(items, source) {
+  const basket = await loadBasket();
+  const known = new Set(basket.map((entry) => entry.url));
+  const addedAt = new Date().toISOString();
+  let added = 0;
+
+  for (const item of items) {
+    if (known.has(item.url)) continue;
+    known.add(item.url);
+    basket.push({ ...item, source: item.source || source, addedAt });
+    added++;
+  }
+
+  if (added > 0) await saveBasket(basket);
+  return { added, basket };
+}
+
+function clearBasket() {
+  return saveBasket([]);
+}
+
+function onBasketChanged(callback) {
+  chrome.storage.onChanged.addListener((changes, area) => {
+    if (area === "local" && changes[BASKET_STORAGE_KEY]) {
+      callback(changes[BASKET_STORAGE_KEY].newValue || []);
+    }
+  });
+}
@@ -0,0 +1,151 @@
+"use strict";
+
+/**
+ * GitHub Extractor — Changelog Builder
+ *
+ * Groups PRs/issues into Keep-a-Changelog style sections. An item's
+ * section comes from its labels (via the user's label → section map),
+ * then from a conventional-commit prefix in its title (`feat:`,
+ * `fix(scope):`, `refactor!:`), and otherwise lands in "Other". Prefixes
+ * are stripped from the emitted entries.
+ */
+
+const CHANGELOG_SECTIONS = ["Breaking", "Features", "Fixes", "Chores", "Other"];
+
+const COMMIT_TYPE_SECTIONS = {
+  feat: "Features",
+  feature: "Features",
+  fix: "Fixes",
+  bugfix: "Fixes",
+  hotfix: "Fixes",
+  chore: "Chores",
+  docs: "Chores",
+  refactor: "Chores",
+  perf: "Chores",
+  test: "Chores",
+  tests: "Chores",
+  build: "Chores",
+  ci: "Chores",
+  style: "Chores",
+  revert: "Chores",
+  deps: "Chores",
+};
+
+const CONVENTIONAL_TITLE = /^(\w+)(?:\(([^)]*)\))?(!)?:\s*(.+)$/;
+
+function parseConventionalTitle(title) {
+  const match = title.match(CONVENTIONAL_TITLE);
+  if (!match || !COMMIT_TYPE_SECTIONS[match[1].toLowerCase()]) return null;
+  return {
+    type: match[1].toLowerCase(),
+    scope: match[2]?.trim() || "",
+    breaking: Boolean(match[3]),
+    subject: match[4].trim(),
+  };
+}
+
+function classifyItem(item, labelMap) {
+  const conventional = parseConventionalTitle(item.title);
+  const labelSections = (item.labels || [])
+    .map((label) => labelMap[label.name.toLowerCase()])
+    .filter((section) => CHANGELOG_SECTIONS.includes(section));
+
+  let section = "Other";
+  if (labelSections.includes("Breaking") || conventional?.breaking) {
+    section = "Breaking";
+  } else if (labelSections.length > 0) {
+    section = labelSections[0];
+  } else if (conventional) {
+    section = COMMIT_TYPE_SECTIONS[conventional.type];
+  }
+
+  return {
+    section,
+    scope: conventional?.scope || "",
+    subject: conventional ? conventional.subject : item.title,
+  };
+}
+
+function getChangelogVersion(items) {
+  // Milestone pages: every item shares the milestone, use it as the version
+  const milestones = new Set(items.map((item) => item.milestone).filter(Boolean));
+  return milestones.size === 1 ? [...milestones][0] : "Unreleased";
+}
+
+/**
+ * Builds the changelog as Markdown and HTML. `labelMap` maps lower-case
+ * label names to one of CHANGELOG_SECTIONS.
+ */
+function buildChangelog(items, { withNumbers = true, labelMap = {} } = {}) {
+  const map = Object.fromEntries(
+    Object.entries(labelMap).map(([label, section]) => [label.toLowerCase(), section])
+  );
+  const sections = new Map(CHANGELOG_SECTIONS.map((name) => [name, []]));
+
+  for (const item of items) {
+    const entry = classifyItem(item, map);
+    sections.get(entry.section).push({ ...entry, item });
+  }
+
+  const heading = `[${getChangelogVersion(items)}] - ${new Date().toISOString().slice(0, 10)}`;
+  const markdown = [`## ${heading}`];
+  const html = [`<h2>${escapeHtml(heading)}</h2>`];
+
+  for (const [name, entries] of sections) {
+    if (entries.length === 0) continue;
+
+    markdown.push("", `### ${name}`, "");
+    html.push(`<h3>${name}</h3>`, "<ul>");
+
+    for (const { scope, subject, item } of entries) {
+      const mdScope = scope ? `**${scope}:** ` : "";
+      const htmlScope = scope ? `<strong>${escapeHtml(scope)}:</strong> ` : "";
+      const link = `<a href="${escapeAttr(item.url)}">`;
+
+      if (withNumbers && item.number) {
+        markdown.push(`- ${mdScope}${subject} ([${item.number}](${item.url}))`);
+        html.push(`<li>${htmlScope}${escapeHtml(subject)} (${link}${escapeHtml(item.number)}</a>)</li>`);
+      } else {
+        markdown.push(`- ${mdScope}[${subject}](${item.url})`);
+        html.push(`<li>${htmlScope}${link}${escapeHtml(subject)}</a></li>`);
+      }
+    }
+
+    html.push("</ul>");
+  }
+
+  return { markdown: markdown.join("\n"), html: html.join("") };
+}
+
+/**
+ * "label = Section" lines ⇄ label map, for the options page textarea.
+ */
+function formatLabelMap(labelMap) {
+  return Object.entries(labelMap)
+    .map(([label, section]) => `${label} = ${section}`)
+    .join("\n");
+}
+
+function parseLabelMap(text) {
+  const map = {};
+  const lines = text.split("\n");
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i].trim();
+    if (!line || line.startsWith("#")) continue;
+
+    const eq = line.lastIndexOf("=");
+    const label = eq > 0 ? line.slice(0, eq).trim() : "";
+    const section = eq > 0 ? line.slice(eq + 1).trim() : "";
+    const known = CHANGELOG_SECTIONS.find((s) => s.toLowerCase() === section.toLowerCase());
+
+    if (!label || !known) {
+      return {
+        error: `Line ${i + 1}: expected "label = ${CHANGELOG_SECTIONS.join(" | ")}".`,
+      };
+    }
+    map[label.toLowerCase()] = known;
+  }
+
+  return { map };
+}
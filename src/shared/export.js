@@ -0,0 +1,89 @@
+"use strict";
+
+/**
+ * GitHub Extractor — File Export
+ *
+ * Builds downloadable files from the current selection. JSON carries the
+ * whole page envelope (page type, source URL, extraction time) so an
+ * archive can be traced back to where it came from; the other formats
+ * contain just the items. CSV and XLSX use the spreadsheet column,
+ * delimiter and BOM settings. Depends on shared/format.js and
+ * shared/spreadsheet.js.
+ */
+
+const EXPORT_FORMATS = [
+  { id: "json", label: "JSON", extension: "json", mime: "application/json" },
+  { id: "ndjson", label: "NDJSON", extension: "ndjson", mime: "application/x-ndjson" },
+  { id: "csv", label: "CSV", extension: "csv", mime: "text/csv" },
+  { id: "xlsx", label: "Excel", extension: "xlsx", mime: XLSX_MIME },
+  { id: "md", label: "Markdown", extension: "md", mime: "text/markdown" },
+];
+
+/**
+ * `content` is a string, or a Uint8Array for XLSX.
+ */
+function buildExport(format, items, pageData, { withNumbers = true, spreadsheet = {} } = {}) {
+  const spec = EXPORT_FORMATS.find((f) => f.id === format) || EXPORT_FORMATS[0];
+
+  let content;
+  switch (spec.id) {
+    case "json":
+      content = JSON.stringify(
+        {
+          pageType: pageData.pageType,
+          pageLabel: pageData.pageLabel,
+          repo: pageData.repo,
+          sourceUrl: pageData.url,
+          extractedAt: pageData.extractedAt,
+          exportedAt: new Date().toISOString(),
+          count: items.length,
+          items,
+        },
+        null,
+        2
+      );
+      break;
+
+    case "ndjson":
+      content = items.map((item) => JSON.stringify(item)).join("\n") + "\n";
+      break;
+
+    case "csv":
+      content = buildCsv(items, spreadsheet);
+      break;
+
+    case "xlsx":
+      content = buildXlsx(items, { ...spreadsheet, sheetName: pageData.pageLabel });
+      break;
+
+    case "md":
+      content = formatPlainText(items, "markdown", withNumbers) + "\n";
+      break;
+  }
+
+  return { content, mime: spec.mime, extension: spec.extension };
+}
+
+function slugify(str) {
+  return String(str)
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "");
+}
+
+/**
+ * e.g. "octo-hello-world-pull-requests-20260105-142233.csv"
+ */
+function getExportFilename(pageData, extension, date = new Date()) {
+  const pad = (n) => String(n).padStart(2, "0");
+  const stamp =
+    `${date.getFullYear()}${pad(date.getMonth() + 1)}${pad(date.getDate())}` +
+    `-${pad(date.getHours())}${pad(date.getMinutes())}${pad(date.getSeconds())}`;
+
+  const parts = [pageData?.repo?.owner, pageData?.repo?.repo, pageData?.pageLabel]
+    .map((part) => slugify(part || ""))
+    .filter(Boolean);
+  if (parts.length === 0) parts.push("github-items");
+
+  return `${[...parts, stamp].join("-")}.${extension}`;
+}
@@ -0,0 +1,415 @@
+"use strict";
+
+/**
+ * GitHub Extractor — Output Formats
+ *
+ * Built-in formatters plus renderOutput(), the single entry point the
+ * popup and the content script (keyboard shortcuts) use to turn items
+ * into clipboard text. Depends on shared/templates.js for custom formats,
+ * shared/changelog.js for changelogs, shared/spreadsheet.js for CSV and
+ * TSV, and shared/github-url.js for references. renderLinkVariant() does
+ * the same for a single link.
+ */
+
+const BUILTIN_FORMATS = [
+  { id: "markdown", label: "Markdown" },
+  { id: "plain", label: "Plain" },
+  { id: "html", label: "HTML" },
+  { id: "csv", label: "CSV" },
+  { id: "tsv", label: "Spreadsheet" },
+  { id: "reference", label: "Reference" },
+  { id: "slack", label: "Slack" },
+  { id: "jira", label: "Jira / Confluence" },
+  { id: "asciidoc", label: "AsciiDoc" },
+  { id: "rst", label: "reStructuredText" },
+  { id: "org", label: "Org-mode" },
+  { id: "mediawiki", label: "MediaWiki" },
+  { id: "changelog", label: "Changelog" },
+  { id: "standup", label: "Standup" },
+];
+
+// Formats that are copied as plain text only (no text/html part)
+const PLAIN_ONLY_FORMATS = new Set([
+  "plain", "csv", "tsv", "reference", "slack", "jira", "asciidoc", "rst", "org", "mediawiki",
+]);
+
+/**
+ * Generate HTML with clickable links — this is what Slack/Notion/Docs read.
+ */
+function formatHtml(items, withNumbers) {
+  if (items.length === 1) {
+    const item = items[0];
+    const suffix = withNumbers && item.number ? ` ${item.number}` : "";
+    return `<a href="${escapeAttr(item.url)}">${escapeHtml(item.title + suffix)}</a>`;
+  }
+
+  const listItems = items
+    .map((item) => {
+      const suffix = withNumbers && item.number ? ` ${item.number}` : "";
+      return `<li><a href="${escapeAttr(item.url)}">${escapeHtml(item.title + suffix)}</a></li>`;
+    })
+    .join("");
+
+  return `<ul>${listItems}</ul>`;
+}
+
+/**
+ * Generate plain text fallback for editors that don't support HTML paste.
+ */
+function formatPlainText(items, format, withNumbers) {
+  switch (format) {
+    case "markdown":
+      return items
+        .map((item) => {
+          const suffix = withNumbers && item.number ? ` ${item.number}` : "";
+          return `- [${item.title}${suffix}](${item.url})`;
+        })
+        .join("\n");
+
+    case "plain":
+      return items
+        .map((item) => {
+          const suffix = withNumbers && item.number ? ` ${item.number}` : "";
+          return `${item.title}${suffix} — ${item.url}`;
+        })
+        .join("\n");
+
+    case "html":
+      return items
+        .map((item) => {
+          const suffix = withNumbers && item.number ? ` ${item.number}` : "";
+          return `<a href="${escapeAttr(item.url)}">${escapeHtml(item.title + suffix)}</a>`;
+        })
+        .join("\n");
+
+    case "csv":
+      return buildCsv(items);
+
+    case "tsv":
+      return buildTsv(items);
+
+    default:
+      if (MARKUP_DIALECTS[format]) {
+        const { bullet, link } = MARKUP_DIALECTS[format];
+        return items
+          .map((item) => {
+            const suffix = withNumbers && item.number ? ` ${item.number}` : "";
+            return `${bullet}${link(item.title + suffix, item.url)}`;
+          })
+          .join("\n");
+      }
+      return "";
+  }
+}
+
+// ---- Markup Dialects ----
+//
+// A bulleted link per item for the wikis, trackers and chat tools people
+// paste into. Titles are escaped so brackets, pipes and formatting marks
+// show up literally instead of breaking the link; URLs get the few
+// characters that would end the link percent-encoded.
+
+const MARKUP_DIALECTS = {
+  // Slack mrkdwn only treats &, < and > as control characters
+  slack: {
+    bullet: "• ",
+    link: (title, url) => `<${escapeSlack(encodeUrlChars(url, "|"))}|${escapeSlack(title)}>`,
+  },
+  // Jira and Confluence wiki markup; backslash escapes any markup character
+  jira: {
+    bullet: "* ",
+    link: (title, url) => `[${title.replace(/[\\[\]{}|*_+^~!-]/g, "\\$&")}|${encodeUrlChars(url, "[]|")}]`,
+  },
+  // `]` would end the link text; formatting marks become character
+  // attributes or references, which Asciidoctor resolves after inline
+  // formatting
+  asciidoc: {
+    bullet: "* ",
+    link: (title, url) => {
+      const text = title.replace(/[*`^~+_]/g, (c) => ASCIIDOC_CHAR_ATTRIBUTES[c]).replace(/\]/g, "\\]");
+      return `${encodeUrlChars(url, "[] ")}[${text}]`;
+    },
+  },
+  // Anonymous hyperlink, so equal titles don't clash as link targets;
+  // inside backquotes only \, ` and the < that starts the URL are special
+  rst: {
+    bullet: "- ",
+    link: (title, url) => `\`${title.replace(/[\\`<]/g, "\\$&")} <${encodeUrlChars(url, "<>` ")}>\`__`,
+  },
+  // Org has no escape inside a description; brackets become braces
+  org: {
+    bullet: "- ",
+    link: (title, url) =>
+      `[[${encodeUrlChars(url, "[]\\ ")}][${title.replace(/\[/g, "{").replace(/\]/g, "}")}]]`,
+  },
+  // External link; wiki syntax in the title turns into HTML entities
+  mediawiki: {
+    bullet: "* ",
+    link: (title, url) =>
+      `[${encodeUrlChars(url, "[] <>")} ${title.replace(/[&<>[\]{}|'~=]/g, (c) => `&#${c.charCodeAt(0)};`)}]`,
+  },
+};
+
+const ASCIIDOC_CHAR_ATTRIBUTES = {
+  "*": "{asterisk}",
+  "`": "{backtick}",
+  "^": "{caret}",
+  "~": "{tilde}",
+  "+": "{plus}",
+  _: "&#95;",
+};
+
+function escapeSlack(str) {
+  return str.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+}
+
+function encodeUrlChars(url, chars) {
+  return [...url]
+    .map((c) => (chars.includes(c) ? `%${c.charCodeAt(0).toString(16).toUpperCase().padStart(2, "0")}` : c))
+    .join("");
+}
+
+// ---- Standup Summary ----
+
+/**
+ * Detail lines for one PR/issue, from whatever the item carries: branches
+ * and people, labels and milestone, linked issues and commits.
+ */
+function getStandupLines(item) {
+  const linkedVerb = parseGitHubUrl(item.url)?.kind === "pull" ? "Closes" : "Linked";
+  const logins = (list) => list.map((login) => `@${login}`).join(", ");
+  const count = (n, noun) => `${n} ${noun}${n === 1 ? "" : "s"}`;
+
+  const lines = [
+    [
+      item.head && item.base ? `${item.head} → ${item.base}` : "",
+      item.author ? `by @${item.author}` : "",
+      item.reviewers?.length ? `reviewers ${logins(item.reviewers)}` : "",
+      item.assignees?.length ? `assigned to ${logins(item.assignees)}` : "",
+    ],
+    [
+      item.labels?.length ? `Labels: ${item.labels.map((label) => label.name).join(", ")}` : "",
+      item.milestone ? `Milestone: ${item.milestone}` : "",
+    ],
+    [
+      item.linkedIssues?.length
+        ? `${linkedVerb} ${item.linkedIssues
+            .map((link) => link.number || formatShortReference(link.url))
+            .join(", ")}`
+        : "",
+      item.commits?.length ? count(item.commits.length, "commit") : "",
+      item.comments ? count(item.comments, "comment") : "",
+    ],
+  ];
+
+  return lines.map((parts) => parts.filter(Boolean).join(" · ")).filter(Boolean);
+}
+
+/**
+ * "PR summary for standup": a bold linked title with its state, then a
+ * few short detail lines per PR/issue.
+ */
+function buildStandupSummary(items, withNumbers) {
+  const markdown = [];
+  const html = [];
+
+  for (const item of items) {
+    const title = item.title + (withNumbers && item.number ? ` ${item.number}` : "");
+    const state = item.state ? ` — ${item.state[0].toUpperCase()}${item.state.slice(1)}` : "";
+    const lines = getStandupLines(item);
+
+    markdown.push(
+      [`**[${title}](${item.url})**${state}`, ...lines.map((line) => `- ${line}`)].join("\n")
+    );
+    html.push(
+      `<p><b><a href="${escapeAttr(item.url)}">${escapeHtml(title)}</a></b>${escapeHtml(state)}</p>` +
+        (lines.length
+          ? `<ul>${lines.map((line) => `<li>${escapeHtml(line)}</li>`).join("")}</ul>`
+          : "")
+    );
+  }
+
+  return { markdown: markdown.join("\n\n"), html: html.join("") };
+}
+
+/**
+ * Renders items in the given format. `html` is null for formats that
+ * should be copied as plain text only (CSV, plain, text-only templates).
+ * Unknown formats, including deleted templates, fall back to Markdown.
+ * `spreadsheet` holds the CSV/TSV columns and delimiter (see
+ * getSpreadsheetOptions); a copied CSV never gets a BOM.
+ */
+function renderOutput(
+  items,
+  format,
+  { withNumbers = true, templates = [], context = {}, changelogLabels = {}, spreadsheet = {} } = {}
+) {
+  if (format.startsWith("template:")) {
+    const template = templates.find((t) => `template:${t.id}` === format);
+    if (template) {
+      const options = { withNumbers, context };
+      return {
+        text: renderTemplate(template, items, options),
+        html: hasHtmlVariant(template)
+          ? renderTemplate(template, items, { ...options, html: true })
+          : null,
+        label: template.name,
+      };
+    }
+    format = "markdown";
+  }
+
+  if (format === "changelog") {
+    const changelog = buildChangelog(items, { withNumbers, labelMap: changelogLabels });
+    return { text: changelog.markdown, html: changelog.html, label: "changelog" };
+  }
+
+  if (format === "csv") {
+    return { text: buildCsv(items, { ...spreadsheet, bom: false }), html: null, label: "csv" };
+  }
+
+  if (format === "tsv") {
+    return { text: buildTsv(items, spreadsheet), html: null, label: "spreadsheet rows" };
+  }
+
+  if (format === "reference") {
+    return { text: formatReferences(items, context), html: null, label: "references" };
+  }
+
+  if (format === "standup") {
+    const summary = buildStandupSummary(items, withNumbers);
+    return { text: summary.markdown, html: summary.html, label: "standup summary" };
+  }
+
+  if (!BUILTIN_FORMATS.some((f) => f.id === format)) {
+    format = "markdown";
+  }
+
+  const text = formatPlainText(items, format, withNumbers);
+  if (MARKUP_DIALECTS[format]) {
+    return { text, html: null, label: BUILTIN_FORMATS.find((f) => f.id === format).label };
+  }
+  if (PLAIN_ONLY_FORMATS.has(format)) {
+    return { text, html: null, label: format };
+  }
+  return { text, html: formatHtml(items, withNumbers), label: "rich text" };
+}
+
+/**
+ * GitHub autolink-style reference: owner/repo#123 for issues, PRs and
+ * discussions, owner/repo@abc1234 for commits, owner/repo otherwise.
+ * Falls back to the URL when it isn't inside a repository.
+ */
+function formatShortReference(url) {
+  const parsed = parseGitHubUrl(url);
+  if (!parsed?.owner || !parsed.repo) return url;
+
+  const repo = `${parsed.owner}/${parsed.repo}`;
+  if (["pull", "issue", "discussion"].includes(parsed.kind)) {
+    return `${repo}#${parsed.id}`;
+  }
+  if (parsed.kind === "commit") {
+    return `${repo}@${parsed.id.slice(0, 7)}`;
+  }
+  return repo;
+}
+
+/**
+ * GitHub autolink syntax for pasting into comments, relative to the
+ * `{ owner, repo }` being copied from: #123 or owner/repo#123 for issues,
+ * PRs and discussions; a bare SHA or owner/repo@sha for commits. Items
+ * without an autolink form (releases, branches, ...) stay as their URL,
+ * which GitHub links as well.
+ */
+function formatReference(item, context = {}) {
+  const parsed = parseGitHubUrl(item.url);
+  const owner = item.owner || parsed?.owner;
+  const repo = item.repo || parsed?.repo;
+  if (!owner || !repo) return item.url;
+
+  const sameRepo =
+    owner.toLowerCase() === (context.owner || "").toLowerCase() &&
+    repo.toLowerCase() === (context.repo || "").toLowerCase();
+  const prefix = sameRepo ? "" : `${owner}/${repo}`;
+
+  if (["pull", "issue", "discussion"].includes(parsed?.kind)) {
+    return `${prefix}#${parsed.id}`;
+  }
+  if (parsed?.kind === "commit") {
+    const sha = parsed.id.slice(0, 7);
+    return sameRepo ? sha : `${prefix}@${sha}`;
+  }
+  return item.url;
+}
+
+// One reference on its own, a Markdown list for several
+function formatReferences(items, context) {
+  if (items.length === 1) return formatReference(items[0], context);
+  return items.map((item) => `- ${formatReference(item, context)}`).join("\n");
+}
+
+// ---- Single Links ----
+//
+// Ways to copy one link: the inline button's menu and modifier clicks,
+// and the context menu. "ref" is the branch name or commit SHA, offered
+// only for links to a branch or commit.
+
+const LINK_VARIANTS = [
+  { id: "rich", label: "Rich link" },
+  { id: "markdown", label: "Markdown" },
+  { id: "url", label: "URL" },
+  { id: "reference", label: "Short reference" },
+  { id: "title", label: "Title" },
+  { id: "ref", label: "Branch / SHA" },
+];
+
+/**
+ * One link `{ title, url, displayText }` as `{ html, text, label }` for a
+ * LINK_VARIANTS id, `label` naming what was copied ("Markdown", "SHA").
+ * Null when the variant doesn't apply to the link.
+ */
+function renderLinkVariant(link, variant) {
+  const { title, url, displayText } = link;
+  const markdown = `[${displayText}](${url})`;
+
+  switch (variant) {
+    case "markdown":
+      return { html: null, text: markdown, label: "Markdown" };
+    case "url":
+      return { html: null, text: url, label: "URL" };
+    case "reference":
+      return { html: null, text: formatShortReference(url), label: "reference" };
+    case "title":
+      return { html: null, text: title, label: "title" };
+    case "ref": {
+      const parsed = parseGitHubUrl(url);
+      if (parsed?.kind === "commit") return { html: null, text: parsed.id, label: "SHA" };
+      if (parsed?.kind === "branch") return { html: null, text: parsed.id, label: "branch" };
+      return null;
+    }
+    default:
+      return {
+        html: `<a href="${escapeAttr(url)}">${escapeHtml(displayText)}</a>`,
+        text: markdown,
+        label: "rich link",
+      };
+  }
+}
+
+// ---- Escaping ----
+function escapeHtml(str) {
+  return String(str)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+function escapeAttr(str) {
+  return String(str)
+    .replace(/&/g, "&amp;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;");
+}
@@ -0,0 +1,102 @@
+"use strict";
+
+/**
+ * GitHub Extractor — Fuzzy Matching
+ *
+ * Subsequence matching for the popup filter's fuzzy mode: "dup acct"
+ * finds "Fix duplicate accounts". A needle matches when its characters
+ * appear in order; the score rewards matches at word starts and runs of
+ * consecutive characters and penalizes the gaps between them, so tight,
+ * word-aligned matches rank first.
+ */
+
+const FUZZY_SCORES = {
+  match: 16,
+  // First character of the text or of a word (after a space, /, -, _, ...)
+  boundary: 10,
+  consecutive: 8,
+  gapStart: -3,
+  gapExtension: -1,
+};
+
+function isWordStart(text, index) {
+  return index === 0 || !/[\p{L}\p{N}]/u.test(text[index - 1]);
+}
+
+/**
+ * Matches `needle` against `text` (both lower-cased; see foldCaseInPlace
+ * when the positions index the original text) and returns
+ * `{ score, positions }`, or null when it isn't a subsequence. Like fzf's
+ * fast path: find the first complete match, then walk back from its end
+ * for the shortest window ending there, and score the characters taken
+ * from that window.
+ */
+function fuzzyMatch(needle, text) {
+  if (!needle) return null;
+
+  let n = 0;
+  let end = -1;
+  for (let i = 0; i < text.length; i++) {
+    if (text[i] === needle[n] && ++n === needle.length) {
+      end = i;
+      break;
+    }
+  }
+  if (end < 0) return null;
+
+  let start = end;
+  for (let i = end, m = needle.length - 1; m >= 0; i--) {
+    if (text[i] === needle[m]) {
+      start = i;
+      m--;
+    }
+  }
+
+  const positions = [];
+  let score = 0;
+  for (let i = start, m = 0; m < needle.length; i++) {
+    if (text[i] !== needle[m]) continue;
+
+    const previous = positions[positions.length - 1];
+    score += FUZZY_SCORES.match;
+    if (isWordStart(text, i)) score += FUZZY_SCORES.boundary;
+    if (previous === i - 1) {
+      score += FUZZY_SCORES.consecutive;
+    } else if (previous !== undefined) {
+      score += FUZZY_SCORES.gapStart + (i - previous - 2) * FUZZY_SCORES.gapExtension;
+    }
+    positions.push(i);
+    m++;
+  }
+
+  // Every match outranks no match, however scattered
+  return { score: Math.max(1, score), positions };
+}
+
+/**
+ * Lower-cases `text` without changing its length, so positions matched in
+ * the result are positions in `text`. toLowerCase() can grow a string
+ * ("İ" becomes "i" plus a combining dot); such a character keeps just its
+ * first lower-case unit.
+ */
+function foldCaseInPlace(text) {
+  let folded = "";
+  for (const ch of text) {
+    const lower = ch.toLowerCase();
+    folded += lower.length === ch.length ? lower : lower.slice(0, ch.length);
+  }
+  return folded;
+}
+
+/**
+ * Character positions → merged [start, end) ranges.
+ */
+function getFuzzyRanges(positions) {
+  const ranges = [];
+  for (const pos of positions) {
+    const last = ranges[ranges.length - 1];
+    if (last && last[1] === pos) last[1]++;
+    else ranges.push([pos, pos + 1]);
+  }
+  return ranges;
+}
@@ -0,0 +1,152 @@
+"use strict";
+
+/**
+ * GitHub Extractor — REST API Enrichment
+ *
+ * Optional second data source: with a personal access token, PR, issue and
+ * milestone URLs are resolved through the REST API for authoritative
+ * titles, state, labels and people. Anything the API can't resolve keeps
+ * its scraped values. Depends on shared/github-url.js.
+ */
+
+const API_CONCURRENCY = 4;
+const MAX_API_ITEMS = 300;
+
+function getApiPath(parsed) {
+  if (!parsed?.owner || !parsed.repo) return null;
+  const repo = `/repos/${encodeURIComponent(parsed.owner)}/${encodeURIComponent(parsed.repo)}`;
+
+  // The issues endpoint serves PRs too, including merged_at and draft
+  if (parsed.kind === "pull" || parsed.kind === "issue") {
+    return `${repo}/issues/${parsed.id}`;
+  }
+  if (parsed.kind === "milestone") {
+    return `${repo}/milestones/${parsed.id}`;
+  }
+  return null;
+}
+
+/**
+ * The web host whose API `baseUrl` serves: GitHub Enterprise's is
+ * https://host/api/v3, while api.github.com (or anything else, such as a
+ * local mock server) stands for github.com. The token belongs to that
+ * host, so items from other hosts aren't sent there.
+ */
+function getApiHost(baseUrl) {
+  try {
+    const url = new URL(baseUrl);
+    return /\/api\/v3\/?$/.test(url.pathname) ? url.host : "github.com";
+  } catch {
+    return "github.com";
+  }
+}
+
+async function fetchApiJson(baseUrl, path, token, signal) {
+  const response = await fetch(`${baseUrl.replace(/\/+$/, "")}${path}`, {
+    headers: {
+      Accept: "application/vnd.github+json",
+      Authorization: `Bearer ${token}`,
+      "X-GitHub-Api-Version": "2022-11-28",
+    },
+    signal,
+  });
+
+  if (!response.ok) {
+    const error = new Error(`GitHub API returned ${response.status} for ${path}`);
+    error.status = response.status;
+    throw error;
+  }
+  return response.json();
+}
+
+function mapIssueResponse(data) {
+  let state = data.state;
+  if (data.pull_request?.merged_at) state = "merged";
+  else if (data.draft && state === "open") state = "draft";
+
+  return {
+    title: data.title,
+    state,
+    labels: (data.labels || []).map((label) => ({
+      name: label.name,
+      color: label.color ? `#${label.color}` : null,
+    })),
+    author: data.user?.login || null,
+    assignees: (data.assignees || []).map((user) => user.login),
+    milestone: data.milestone?.title || null,
+    createdAt: data.created_at || null,
+    updatedAt: data.updated_at || null,
+    comments: data.comments ?? null,
+  };
+}
+
+function mapMilestoneResponse(data) {
+  return {
+    title: data.title,
+    state: data.state,
+    author: data.creator?.login || null,
+    createdAt: data.created_at || null,
+    updatedAt: data.updated_at || null,
+  };
+}
+
+/**
+ * Quick credentials check for the options page. Resolves to the login of
+ * the token's owner.
+ */
+async function testApiConnection({ token, baseUrl }) {
+  const user = await fetchApiJson(baseUrl, "/user", token);
+  return user.login;
+}
+
+/**
+ * Resolves items through the API with a small worker pool. Returns new
+ * item objects (inputs are not mutated) plus counts. A 401/403 stops the
+ * run early, since every other request would fail the same way; the items
+ * it didn't get to are counted as `skipped`. Only the first MAX_API_ITEMS
+ * are requested; the rest are counted as `overLimit`. Items on other hosts
+ * than the API's (see getApiHost) are left alone.
+ */
+async function enrichItems(items, { token, baseUrl, signal } = {}) {
+  const result = items.slice();
+  const queue = [];
+  const apiHost = getApiHost(baseUrl);
+  let enriched = 0;
+  let failed = 0;
+  let overLimit = 0;
+  let error = null;
+
+  items.forEach((item, index) => {
+    if (item.enriched) return;
+    const parsed = parseGitHubUrl(item.url);
+    const path = getApiPath(parsed);
+    if (!path || parsed.host !== apiHost) return;
+    if (queue.length < MAX_API_ITEMS) queue.push({ index, path, kind: parsed.kind });
+    else overLimit++;
+  });
+
+  const controller = new AbortController();
+  signal?.addEventListener("abort", () => controller.abort());
+
+  async function worker() {
+    while (queue.length > 0 && !controller.signal.aborted) {
+      const { index, path, kind } = queue.shift();
+      try {
+        const data = await fetchApiJson(baseUrl, path, token, controller.signal);
+        const fields = kind === "milestone" ? mapMilestoneResponse(data) : mapIssueResponse(data);
+        result[index] = { ...result[index], ...fields, enriched: true };
+        enriched++;
+      } catch (err) {
+        if (controller.signal.aborted) return;
+        failed++;
+        error = error || err.message;
+        if (err.status === 401 || err.status === 403) controller.abort();
+      }
+    }
+  }
+
+  const queued = queue.length;
+  await Promise.all(Array.from({ length: API_CONCURRENCY }, worker));
+
+  return { items: result, enriched, failed, skipped: queued - enriched - failed, overLimit, error };
+}
@@ -0,0 +1,89 @@
+"use strict";
+
+/**
+ * GitHub Extractor — URL Helpers
+ *
+ * Shared by the popup and content script. Loaded as a classic script, so
+ * everything declared here is a global in whichever page includes it.
+ */
+
+const ITEM_KINDS = [
+  { pattern: /^\/([^/]+)\/([^/]+)\/pull\/(\d+)/, kind: "pull" },
+  { pattern: /^\/([^/]+)\/([^/]+)\/issues\/(\d+)/, kind: "issue" },
+  { pattern: /^\/([^/]+)\/([^/]+)\/discussions\/(\d+)/, kind: "discussion" },
+  { pattern: /^\/([^/]+)\/([^/]+)\/milestone\/(\d+)/, kind: "milestone" },
+  { pattern: /^\/([^/]+)\/([^/]+)\/actions\/runs\/(\d+)/, kind: "run" },
+  { pattern: /^\/([^/]+)\/([^/]+)\/commit\/([0-9a-f]{7,40})/i, kind: "commit" },
+  { pattern: /^\/([^/]+)\/([^/]+)\/releases\/tag\/(.+)$/, kind: "release" },
+  { pattern: /^\/([^/]+)\/([^/]+)\/tree\/(.+)$/, kind: "branch" },
+];
+
+// Top-level paths that are GitHub features, not user or org names.
+const RESERVED_OWNERS = new Set([
+  "search", "notifications", "settings", "explore", "trending", "topics",
+  "collections", "marketplace", "sponsors", "orgs", "users", "login",
+  "logout", "signup", "new", "organizations", "pulls", "issues", "stars",
+  "dashboard", "features", "pricing", "enterprise", "codespaces", "about",
+  "security", "apps", "watching", "account",
+]);
+
+/**
+ * Splits a GitHub URL into owner, repo and the kind of object it points
+ * to. `id` is the number for numbered kinds, the SHA for commits and the
+ * tag or branch name for releases and branches. Unknown URLs still get
+ * owner/repo when the path looks like a repository.
+ */
+function parseGitHubUrl(href) {
+  let url;
+  try {
+    url = new URL(href, "https://github.com");
+  } catch {
+    return null;
+  }
+
+  const path = url.pathname;
+
+  for (const { pattern, kind } of ITEM_KINDS) {
+    const match = path.match(pattern);
+    if (match) {
+      return {
+        host: url.host,
+        owner: match[1],
+        repo: match[2],
+        kind,
+        id: decodePathSegment(match[3]),
+      };
+    }
+  }
+
+  const repoMatch = path.match(/^\/([^/]+)\/([^/]+)/);
+  if (repoMatch && !RESERVED_OWNERS.has(repoMatch[1])) {
+    return {
+      host: url.host,
+      owner: repoMatch[1],
+      repo: repoMatch[2],
+      kind: path.replace(/\/$/, "") === `/${repoMatch[1]}/${repoMatch[2]}` ? "repo" : null,
+      id: null,
+    };
+  }
+
+  return { host: url.host, owner: "", repo: "", kind: null, id: null };
+}
+
+// Branch and tag names can hold a literal "%" that isn't an escape
+function decodePathSegment(segment) {
+  try {
+    return decodeURIComponent(segment);
+  } catch {
+    return segment;
+  }
+}
+
+/**
+ * `{ owner, repo }` of the repository a URL points into; empty strings
+ * when it isn't inside one (search, notifications, profiles...).
+ */
+function getUrlRepo(href) {
+  const parsed = parseGitHubUrl(href);
+  return { owner: parsed?.owner || "", repo: parsed?.repo || "" };
+}
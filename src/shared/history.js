@@ -0,0 +1,127 @@
+"use strict";
+
+/**
+ * GitHub Extractor — Extraction History
+ *
+ * Past extractions kept in chrome.storage.local, newest first, so a list
+ * can be re-opened and copied after the popup has closed:
+ *
+ *   { id, pageType, pageLabel, repo, url, record, extractedAt, savedAt, items, selected }
+ *
+ * `selected` holds the URLs that were selected; `record` marks a single
+ * PR/issue read from its own page. The list is capped by the
+ * historyMaxEntries / historyMaxAgeDays settings and a storage budget.
+ */
+
+const HISTORY_STORAGE_KEY = "history";
+
+// Stay well inside chrome.storage.local's quota, which the basket shares
+const HISTORY_MAX_BYTES = 4 * 1024 * 1024;
+
+async function loadHistory() {
+  const stored = await chrome.storage.local.get({ [HISTORY_STORAGE_KEY]: [] });
+  return stored[HISTORY_STORAGE_KEY];
+}
+
+function saveHistory(entries) {
+  return chrome.storage.local.set({ [HISTORY_STORAGE_KEY]: entries });
+}
+
+/**
+ * Drops entries past the age limit, then the oldest ones beyond the entry
+ * count or storage budget. maxAgeDays 0 means no age limit.
+ */
+function pruneHistory(entries, { maxEntries = Infinity, maxAgeDays = 0 } = {}, now = Date.now()) {
+  let kept = entries;
+
+  if (maxAgeDays > 0) {
+    const cutoff = now - maxAgeDays * 24 * 60 * 60 * 1000;
+    kept = kept.filter((entry) => new Date(entry.savedAt).getTime() >= cutoff);
+  }
+  kept = kept.slice(0, maxEntries);
+
+  let bytes = JSON.stringify(kept).length;
+  while (kept.length > 1 && bytes > HISTORY_MAX_BYTES) {
+    bytes -= JSON.stringify(kept[kept.length - 1]).length;
+    kept = kept.slice(0, -1);
+  }
+
+  return kept;
+}
+
+function isSameExtraction(entry, pageData) {
+  if (entry.url !== pageData.url || entry.items.length !== pageData.items.length) {
+    return false;
+  }
+  return entry.items.every((item, i) => item.url === pageData.items[i].url);
+}
+
+/**
+ * Saves (or updates) the entry for an extraction and returns its id. Pass
+ * the id from a previous call to update that entry in place; re-extracting
+ * an unchanged page updates the newest entry rather than adding a copy.
+ */
+async function recordExtraction(pageData, selectedUrls, { id = null, limits } = {}) {
+  const history = await loadHistory();
+  let index = id ? history.findIndex((entry) => entry.id === id) : -1;
+  if (index < 0 && history.length > 0 && isSameExtraction(history[0], pageData)) {
+    index = 0;
+  }
+
+  const entry = {
+    id: index >= 0 ? history[index].id : crypto.randomUUID(),
+    pageType: pageData.pageType,
+    pageLabel: pageData.pageLabel,
+    repo: pageData.repo,
+    url: pageData.url,
+    record: Boolean(pageData.record),
+    extractedAt: pageData.extractedAt,
+    savedAt: new Date().toISOString(),
+    items: pageData.items,
+    selected: [...selectedUrls],
+  };
+
+  if (index >= 0) history.splice(index, 1);
+  history.unshift(entry);
+  await saveHistory(pruneHistory(history, limits));
+  return entry.id;
+}
+
+async function removeFromHistory(id) {
+  const history = (await loadHistory()).filter((entry) => entry.id !== id);
+  await saveHistory(history);
+  return history;
+}
+
+function clearHistory() {
+  return saveHistory([]);
+}
+
+/**
+ * Case-insensitive match against the page label, owner/repo, source URL
+ * and item titles.
+ */
+function searchHistory(entries, query) {
+  const q = query.toLowerCase().trim();
+  if (!q) return entries;
+
+  return entries.filter((entry) => {
+    const haystack = [
+      entry.pageLabel,
+      entry.repo?.owner && `${entry.repo.owner}/${entry.repo.repo}`,
+      entry.url,
+    ];
+    return (
+      haystack.some((text) => text && text.toLowerCase().includes(q)) ||
+      entry.items.some((item) => item.title.toLowerCase().includes(q))
+    );
+  });
+}
+
+function onHistoryChanged(callback) {
+  chrome.storage.onChanged.addListener((changes, area) => {
+    if (area === "local" && changes[HISTORY_STORAGE_KEY]) {
+      callback(changes[HISTORY_STORAGE_KEY].newValue || []);
+    }
+  });
+}
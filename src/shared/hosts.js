@@ -0,0 +1,54 @@
+"use strict";
+
+/**
+ * GitHub Extractor — GitHub Hosts
+ *
+ * github.com plus any GitHub Enterprise Server hosts the user adds. The
+ * `githubHosts` setting stores origins ("https://github.example.com");
+ * github.com is always present since the manifest covers it. Shared by the
+ * service worker, popup, options page and content script.
+ */
+
+const GITHUB_COM_ORIGIN = "https://github.com";
+
+// Registered by the service worker for every extra host with permission
+const HOSTS_CONTENT_SCRIPT_ID = "github-hosts";
+
+/**
+ * "github.example.com" or a URL on that host → its origin, or null when
+ * the input isn't an http(s) host.
+ */
+function normalizeHost(input) {
+  let text = String(input).trim();
+  if (!text) return null;
+  if (!/^[a-z][a-z0-9+.-]*:\/\//i.test(text)) text = `https://${text}`;
+
+  try {
+    const url = new URL(text);
+    if (!/^https?:$/.test(url.protocol) || !url.hostname) return null;
+    return url.origin;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Match pattern for permissions, content scripts and menus. Patterns
+ * can't carry a port in every browser, so they cover the whole host.
+ */
+function getHostMatchPattern(origin) {
+  const url = new URL(origin);
+  return `${url.protocol}//${url.hostname}/*`;
+}
+
+function getHostMatchPatterns(origins) {
+  return [...new Set(origins.map(getHostMatchPattern))];
+}
+
+function isGitHubUrl(href, origins) {
+  try {
+    return origins.includes(new URL(href).origin);
+  } catch {
+    return false;
+  }
+}
@@ -0,0 +1,358 @@
+"use strict";
+
+/**
+ * GitHub Extractor — Filter Queries
+ *
+ * The popup filter's small query language, modelled on GitHub search:
+ *
+ *   fix crash           items whose title or number contains both words
+ *   "flaky test"        a phrase
+ *   /^feat(\(.+\))?:/   a regular expression (case-insensitive)
+ *   -wip                exclusion; works on any term or qualifier
+ *   is:pr is:issue      kind; is:open is:closed is:merged is:draft for state
+ *   type:release        any kind from TYPE_NAMES (pr, issue, commit, ...)
+ *   repo:owner/name     repository; repo:name matches any owner
+ *   number:>100         also >=, <, <=, 42 and ranges like 10..20
+ *   label:bug           label name, quoted when it has spaces
+ *   author:octocat      author login, with or without @
+ *
+ * Words with an unknown `prefix:` are plain text, so "fix:" still finds
+ * conventional-commit titles. In fuzzy mode plain words match as
+ * subsequences of the title, number or URL path ("dup acct" finds "Fix
+ * duplicate accounts") and results can be ranked with scoreQuery();
+ * phrases, regexes, exclusions and qualifiers stay exact.
+ *
+ * parseQuery() returns `{ terms }` or `{ error }`. Text, type and repo
+ * terms read a per-item index of lower-cased fields, built once per item
+ * (see indexQueryItems), so re-filtering thousands of items per keystroke
+ * stays cheap. Depends on shared/github-url.js, shared/templates.js and
+ * shared/fuzzy.js.
+ */
+
+const QUERY_IS_VALUES = {
+  pr: (item) => getQueryKind(item) === "pull",
+  issue: (item) => getQueryKind(item) === "issue",
+  // Drafts are open PRs, as in GitHub's own search
+  open: (item) => item.state === "open" || item.state === "draft",
+  closed: (item) => item.state === "closed",
+  merged: (item) => item.state === "merged",
+  draft: (item) => item.state === "draft",
+};
+
+const QUERY_TYPE_ALIASES = { pr: "pull", pullrequest: "pull", tag: "release" };
+
+// Metadata a qualifier needs; it's an error when no item on the page has it
+const QUERY_METADATA = {
+  label: { has: (item) => Array.isArray(item.labels), name: "labels" },
+  author: { has: (item) => Boolean(item.author), name: "authors" },
+};
+
+const QUERY_QUALIFIERS = {
+  is(value) {
+    const test = QUERY_IS_VALUES[value.toLowerCase()];
+    if (!test) {
+      throw new Error(`Unknown is:${value} — use ${Object.keys(QUERY_IS_VALUES).map((v) => `is:${v}`).join(", ")}`);
+    }
+    return test;
+  },
+
+  type(value) {
+    const kind = QUERY_TYPE_ALIASES[value.toLowerCase()] || value.toLowerCase();
+    if (!TYPE_NAMES[kind]) {
+      throw new Error(`Unknown type:${value} — use pr, ${Object.keys(TYPE_NAMES).filter((k) => k !== "pull").join(", ")}`);
+    }
+    return (item) => getQueryKind(item) === kind;
+  },
+
+  repo(value) {
+    const wanted = value.toLowerCase().replace(/\/$/, "");
+    return (item) => {
+      const { repo, repoName } = getQueryIndex(item);
+      if (!repo) return false;
+      return wanted.includes("/") ? repo === wanted : repoName === wanted;
+    };
+  },
+
+  number(value) {
+    const range = value.match(/^(\d+)\.\.(\d+)$/);
+    const compare = value.match(/^(>=|<=|>|<)?#?(\d+)$/);
+    if (!range && !compare) {
+      throw new Error(`number: takes 42, >100, <=7 or a range like 10..20, not "${value}"`);
+    }
+
+    let inRange;
+    if (range) {
+      const [low, high] = [Number(range[1]), Number(range[2])];
+      inRange = (n) => n >= low && n <= high;
+    } else {
+      const n0 = Number(compare[2]);
+      inRange = {
+        ">": (n) => n > n0,
+        ">=": (n) => n >= n0,
+        "<": (n) => n < n0,
+        "<=": (n) => n <= n0,
+      }[compare[1]] || ((n) => n === n0);
+    }
+
+    return (item) => {
+      const digits = item.number?.replace(/\D/g, "");
+      return Boolean(digits) && inRange(Number(digits));
+    };
+  },
+
+  label(value) {
+    const wanted = value.toLowerCase();
+    return (item) => (item.labels || []).some((label) => label.name.toLowerCase() === wanted);
+  },
+
+  author(value) {
+    const wanted = value.replace(/^@/, "").toLowerCase();
+    return (item) => item.author?.toLowerCase() === wanted;
+  },
+};
+
+function getQueryKind(item) {
+  return getQueryIndex(item).kind;
+}
+
+// ---- Index ----
+
+// Item → { text, title, number, path, kind, repo, repoName }; items are
+// replaced, never mutated, when their data changes, so entries can't go
+// stale
+const queryIndex = new WeakMap();
+
+function getQueryIndex(item) {
+  let entry = queryIndex.get(item);
+  if (!entry) {
+    const parsed = parseGitHubUrl(item.url);
+    entry = {
+      // Title and number stay separate lines so a phrase can't span both
+      text: `${item.title}\n${item.number || ""}`.toLowerCase(),
+      title: item.title.toLowerCase(),
+      number: (item.number || "").toLowerCase(),
+      path: getUrlPath(item.url).toLowerCase(),
+      kind: parsed?.kind || null,
+      repo: parsed?.repo ? `${parsed.owner}/${parsed.repo}`.toLowerCase() : null,
+      repoName: parsed?.repo ? parsed.repo.toLowerCase() : null,
+    };
+    queryIndex.set(item, entry);
+  }
+  return entry;
+}
+
+/**
+ * Builds the index for a new list up front, so the first keystroke in the
+ * filter doesn't pay for it.
+ */
+function indexQueryItems(items) {
+  for (const item of items) getQueryIndex(item);
+}
+
+function getUrlPath(href) {
+  try {
+    return new URL(href).pathname;
+  } catch {
+    return "";
+  }
+}
+
+/**
+ * Text → `{ terms }` or `{ error }`. Each term is
+ * `{ negate, qualifier, test(item), highlight }`; `highlight` is a RegExp for title
+ * highlighting, set on positive text, phrase and regex terms. Fuzzy terms
+ * have `fuzzy` (the lower-cased word) and `score(item)` instead. Pass the
+ * items being filtered to reject label:/author: on pages that don't show
+ * labels or authors, where they could only ever match nothing.
+ */
+function parseQuery(text, items = null, { fuzzy = false } = {}) {
+  try {
+    const terms = tokenizeQuery(text).map((token) => compileQueryToken(token, fuzzy));
+    if (items) checkQueryMetadata(terms, items);
+    return { terms };
+  } catch (err) {
+    return { error: err.message };
+  }
+}
+
+function tokenizeQuery(text) {
+  const tokens = [];
+  let pos = 0;
+
+  const readUntil = (close, what) => {
+    const end = findClosing(text, pos + 1, close);
+    if (end < 0) throw new Error(`Missing closing ${what}`);
+    const value = text.slice(pos + 1, end);
+    pos = end + 1;
+    // Regexes keep their escapes; quoted values lose the ones for " and \
+    return close === '"' ? value.replace(/\\(["\\])/g, "$1") : value;
+  };
+  const readWord = () => {
+    const match = text.slice(pos).match(/^\S*/)[0];
+    pos += match.length;
+    return match;
+  };
+
+  while (pos < text.length) {
+    if (/\s/.test(text[pos])) {
+      pos++;
+      continue;
+    }
+
+    const token = { negate: false };
+    if (text[pos] === "-" && text[pos + 1] && !/\s/.test(text[pos + 1])) {
+      token.negate = true;
+      pos++;
+    }
+
+    const qualifier = text.slice(pos).match(/^([a-z]+):/i);
+    if (qualifier && QUERY_QUALIFIERS[qualifier[1].toLowerCase()]) {
+      token.qualifier = qualifier[1].toLowerCase();
+      pos += qualifier[0].length;
+      token.value = text[pos] === '"' ? readUntil('"', "quote") : readWord();
+      if (!token.value) throw new Error(`${token.qualifier}: needs a value`);
+    } else if (text[pos] === '"') {
+      token.phrase = readUntil('"', "quote");
+    } else if (text[pos] === "/") {
+      token.regex = readUntil("/", "/ in regex");
+      if (!token.regex) throw new Error("Empty regex //");
+    } else {
+      token.phrase = readWord();
+      token.word = true;
+    }
+
+    tokens.push(token);
+  }
+
+  return tokens;
+}
+
+// Index of the next unescaped `close` character, or -1
+function findClosing(text, from, close) {
+  for (let i = from; i < text.length; i++) {
+    if (text[i] === "\\") i++;
+    else if (text[i] === close) return i;
+  }
+  return -1;
+}
+
+function compileQueryToken(token, fuzzy) {
+  if (token.qualifier) {
+    return {
+      negate: token.negate,
+      qualifier: token.qualifier,
+      test: QUERY_QUALIFIERS[token.qualifier](token.value),
+      highlight: null,
+    };
+  }
+
+  if (fuzzy && token.word && !token.negate) {
+    return compileFuzzyToken(token.phrase.toLowerCase());
+  }
+
+  if (token.regex === undefined) {
+    const needle = token.phrase.toLowerCase();
+    return {
+      negate: token.negate,
+      qualifier: null,
+      test: (item) => getQueryIndex(item).text.includes(needle),
+      highlight: token.negate ? null : new RegExp(escapeRegExp(token.phrase), "i"),
+    };
+  }
+
+  let pattern;
+  try {
+    pattern = new RegExp(token.regex, "i");
+  } catch (err) {
+    throw new Error(`Invalid regex /${token.regex}/: ${err.message.replace(/^Invalid regular expression: \/.*\/\w*: /, "")}`);
+  }
+
+  return {
+    negate: token.negate,
+    qualifier: null,
+    test: (item) => pattern.test(item.title) || (Boolean(item.number) && pattern.test(item.number)),
+    highlight: token.negate ? null : pattern,
+  };
+}
+
+// Best of title, number and URL path; the path counts for less, since
+// owner, repo and kind match almost anything there
+function compileFuzzyToken(needle) {
+  const score = (item) => {
+    const { title, number, path } = getQueryIndex(item);
+    return Math.max(
+      fuzzyMatch(needle, title)?.score || 0,
+      fuzzyMatch(needle, number)?.score || 0,
+      Math.floor((fuzzyMatch(needle, path)?.score || 0) / 2)
+    );
+  };
+
+  return {
+    negate: false,
+    qualifier: null,
+    fuzzy: needle,
+    test: (item) => score(item) > 0,
+    score,
+    highlight: null,
+  };
+}
+
+function escapeRegExp(str) {
+  return str.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+function checkQueryMetadata(terms, items) {
+  for (const term of terms) {
+    const needed = QUERY_METADATA[term.qualifier];
+    if (needed && !items.some(needed.has)) {
+      throw new Error(`${term.qualifier}: can't match — this list has no ${needed.name}`);
+    }
+  }
+}
+
+function matchesQuery(item, query) {
+  return query.terms.every((term) => term.test(item) !== term.negate);
+}
+
+// Whether the query has fuzzy terms, so its results should be ranked
+function isRankedQuery(query) {
+  return query.terms.some((term) => term.score);
+}
+
+/**
+ * Fuzzy rank of a matching item: the sum of its fuzzy terms' scores,
+ * higher is better.
+ */
+function scoreQuery(item, query) {
+  return query.terms.reduce((sum, term) => sum + (term.score ? term.score(item) : 0), 0);
+}
+
+/**
+ * [start, end) ranges in `text` matched by the query's highlight
+ * patterns and fuzzy terms (every matched character), sorted and merged
+ * so overlapping terms mark once.
+ */
+function getQueryHighlightRanges(text, query) {
+  const ranges = [];
+  for (const term of query.terms) {
+    if (term.fuzzy) {
+      const match = fuzzyMatch(term.fuzzy, foldCaseInPlace(text));
+      if (match) ranges.push(...getFuzzyRanges(match.positions));
+      continue;
+    }
+    if (!term.highlight) continue;
+    const pattern = new RegExp(term.highlight.source, "gi");
+    for (const match of text.matchAll(pattern)) {
+      if (match[0]) ranges.push([match.index, match.index + match[0].length]);
+    }
+  }
+
+  ranges.sort((a, b) => a[0] - b[0]);
+  const merged = [];
+  for (const range of ranges) {
+    const last = merged[merged.length - 1];
+    if (last && range[0] <= last[1]) last[1] = Math.max(last[1], range[1]);
+    else merged.push(range);
+  }
+  return merged;
+}
@@ -0,0 +1,628 @@
+"use strict";
+
+/**
+ * GitHub Extractor — Extractor Rules
+ *
+ * Page detection and extraction are driven by declarative rules, so a
+ * changed GitHub class name can be fixed from the options page instead of
+ * waiting for a release. A rule is plain JSON:
+ *
+ *   {
+ *     id: "issueOrPr",              // page type; a user rule with a built-in id replaces it
+ *     pages: [{ urlPattern, label }], // regexes tested against path + query string
+ *     title: ["a.Link--primary"],    // title links, searched in order across the page
+ *     hrefPattern: "/pull/\\d+",     // optional regex the link's href must match
+ *     containers: [".js-issue-row"], // optional row around each title link...
+ *     fields: { author: { type: "login", selector: ["a.author"] } }, // ...read for metadata
+ *   }
+ *
+ * The first rule whose page pattern matches labels the page and extracts
+ * it; rules without `title` only label pages. When nothing is found, every
+ * list rule is tried in order, then the generic link finder in content.js.
+ *
+ * A rule with `record` instead of `title` describes a page about a single
+ * object (a PR or issue): `record` selects its title text and `fields` are
+ * read from the first `containers` match, or the whole page without one.
+ *
+ * Field types: text, number, login, logins, labels, state (`map` of icon
+ * selector → state, plus icon aria-labels), dates (sets createdAt and
+ * updatedAt; "updated" in the surrounding text marks the update time) and
+ * links (title/url/number of each link, filtered by `hrefPattern`).
+ * `attribute` reads an attribute instead of the text for text/number.
+ */
+
+const USER_RULES_STORAGE_KEY = "extractorRules";
+
+const FIELD_TYPES = ["text", "number", "login", "logins", "labels", "state", "dates", "links"];
+
+const RULE_KEYS = ["id", "pages", "title", "record", "hrefPattern", "containers", "fields"];
+
+// ---- Built-in Rules ----
+//
+// Issue/PR rows come in two layouts: the legacy server-rendered list
+// (.js-issue-row / [id^="issue_"]) and the React list
+// ([data-testid="list-row"]). Each field lists selectors for both.
+
+const ISSUE_ROW_CONTAINERS = [
+  ".js-issue-row",
+  '[id^="issue_"]',
+  '[data-testid="list-row"]',
+  '[data-testid="issue-row"]',
+  ".listRow",
+  "div[data-id]",
+];
+
+const ISSUE_ROW_FIELDS = {
+  state: {
+    type: "state",
+    // First match wins, so the more specific icons come first
+    map: {
+      ".octicon-git-merge": "merged",
+      ".octicon-git-pull-request-draft": "draft",
+      ".octicon-issue-draft": "draft",
+      ".octicon-git-pull-request-closed": "closed",
+      ".octicon-issue-closed": "closed",
+      ".octicon-skip": "closed",
+      ".octicon-git-pull-request": "open",
+      ".octicon-issue-opened": "open",
+    },
+  },
+  labels: {
+    type: "labels",
+    selector: [
+      ".IssueLabel",
+      '[data-testid="issue-label"]',
+      '[data-testid="list-row-labels"] a',
+    ],
+  },
+  author: {
+    type: "login",
+    selector: [
+      '.opened-by a[data-hovercard-type="user"]',
+      ".opened-by a.Link--muted",
+      '[data-testid="created-by-link"]',
+      'a[data-testid="list-row-author"]',
+    ],
+  },
+  assignees: {
+    type: "logins",
+    selector: [
+      'a[href*="assignee%3A"]',
+      'a[href*="assignee:"]',
+      '[data-testid="list-row-assignees"] img[alt]',
+      '[data-testid="assignees"] img[alt]',
+    ],
+  },
+  milestone: {
+    type: "text",
+    selector: ['a[href*="/milestone/"]', '[data-testid="milestone"]'],
+  },
+  dates: {
+    type: "dates",
+    selector: ["relative-time[datetime]", "time-ago[datetime]", "time[datetime]"],
+  },
+  comments: {
+    type: "number",
+    selector: [
+      'a[aria-label$=" comments"]',
+      'a[aria-label$=" comment"]',
+      '[data-testid="list-row-comments"]',
+    ],
+  },
+};
+
+// A PR or issue page: header, sidebar and timeline of one record. Legacy
+// and React layouts again; base/head and reviewers only exist on PRs.
+const DETAIL_FIELDS = {
+  state: {
+    type: "state",
+    map: {
+      ".gh-header-meta .State--merged": "merged",
+      ".gh-header-meta .State--draft": "draft",
+      ".gh-header-meta .State--closed": "closed",
+      ".gh-header-meta .State--open": "open",
+      '[data-testid="header-state"] .octicon-git-merge': "merged",
+      '[data-testid="header-state"] .octicon-git-pull-request-draft': "draft",
+      '[data-testid="header-state"] .octicon-issue-draft': "draft",
+      '[data-testid="header-state"] .octicon-git-pull-request-closed': "closed",
+      '[data-testid="header-state"] .octicon-issue-closed': "closed",
+      '[data-testid="header-state"] .octicon-skip': "closed",
+      '[data-testid="header-state"] .octicon-git-pull-request': "open",
+      '[data-testid="header-state"] .octicon-issue-opened': "open",
+    },
+  },
+  author: {
+    type: "login",
+    selector: [
+      ".gh-header-meta a.author",
+      '[data-testid="issue-body-header-author"]',
+      ".timeline-comment-header a.author",
+    ],
+  },
+  base: {
+    type: "text",
+    selector: [".gh-header-meta .base-ref", '[data-testid="base-ref"]', ".base-ref"],
+  },
+  head: {
+    type: "text",
+    selector: [".gh-header-meta .head-ref", '[data-testid="head-ref"]', ".head-ref"],
+  },
+  reviewers: {
+    type: "logins",
+    selector: [
+      'form[aria-label="Select reviewers"] [data-assignee-name]',
+      'form[aria-label="Select reviewers"] a.assignee',
+      '[data-testid="sidebar-reviewers-section"] a[data-hovercard-type="user"]',
+    ],
+  },
+  assignees: {
+    type: "logins",
+    selector: [
+      ".js-issue-assignees a.assignee",
+      '[data-testid="sidebar-assignees-section"] a[data-hovercard-type="user"]',
+    ],
+  },
+  labels: {
+    type: "labels",
+    selector: [
+      ".js-issue-labels .IssueLabel",
+      '[data-testid="sidebar-labels-section"] a',
+    ],
+  },
+  milestone: {
+    type: "text",
+    selector: [
+      ".sidebar-milestone .milestone-name",
+      '[data-testid="sidebar-milestone-section"] a[href*="/milestone/"]',
+    ],
+  },
+  // "Development" in the sidebar: issues a PR closes, or PRs closing an issue
+  linkedIssues: {
+    type: "links",
+    selector: [
+      'form[aria-label="Link issues"] a',
+      '[data-testid="sidebar-development-section"] a',
+    ],
+    hrefPattern: "/(pull|issues)/\\d+",
+  },
+  commits: {
+    type: "links",
+    selector: [
+      '.TimelineItem a.markdown-title[href*="/commits/"]',
+      '.js-commits-list-item a.markdown-title[href*="/commits/"]',
+      '[data-testid="commit-row-item"] a[href*="/commits/"]',
+    ],
+    hrefPattern: "/commits?/[0-9a-f]{7,40}",
+  },
+  dates: {
+    type: "dates",
+    selector: [
+      ".gh-header-meta relative-time[datetime]",
+      '[data-testid="issue-body-header"] relative-time[datetime]',
+      ".timeline-comment-header relative-time[datetime]",
+    ],
+  },
+};
+
+const BUILTIN_RULES = [
+  // First, so "/issues\b" below doesn't claim single issues
+  {
+    id: "detail",
+    pages: [
+      { urlPattern: "^/[^/]+/[^/]+/pull/\\d+", label: "Pull Request" },
+      { urlPattern: "^/[^/]+/[^/]+/issues/\\d+", label: "Issue" },
+    ],
+    record: [
+      ".gh-header-title .js-issue-title",
+      '[data-testid="issue-title"]',
+      "h1 bdi.markdown-title",
+    ],
+    fields: DETAIL_FIELDS,
+  },
+  {
+    id: "milestonesList",
+    pages: [{ urlPattern: "/milestones/?$", label: "Milestones" }],
+    title: [
+      "a.Link--primary[href*='/milestone/']",
+      "a[href*='/milestone/'].Link--primary",
+    ],
+    hrefPattern: "/milestone/",
+  },
+  {
+    id: "milestone",
+    pages: [{ urlPattern: "/milestone/\\d+", label: "Milestone" }],
+    title: [
+      // Milestone page title links (multiple class combos)
+      '[id^="issue_"] a.markdown-title',
+      '[id^="issue_"] a.js-navigation-open',
+      '[id^="issue_"] .Link--primary',
+      ".js-issue-row a.markdown-title",
+      ".js-issue-row a.js-navigation-open",
+      ".js-issue-row .Link--primary",
+      // React-based selectors
+      '[data-testid="issue-row"] a[data-testid="issue-title-link"]',
+      '[data-testid="list-row"] a[data-testid="issue-title-link"]',
+      '[data-testid="list-row"] a[data-testid="pull-request-title-link"]',
+      'div[data-id] a.Link--primary[href*="/issues/"]',
+      'div[data-id] a.Link--primary[href*="/pull/"]',
+      // Broad: any link to a PR/issue inside the milestone list
+      'a.markdown-title[href*="/pull/"]',
+      'a.markdown-title[href*="/issues/"]',
+      'a.js-navigation-open[href*="/pull/"]',
+      'a.js-navigation-open[href*="/issues/"]',
+    ],
+    hrefPattern: "/(pull|issues)/\\d+",
+    containers: ISSUE_ROW_CONTAINERS,
+    fields: ISSUE_ROW_FIELDS,
+  },
+  {
+    id: "issueOrPr",
+    pages: [
+      { urlPattern: "/pulls\\b", label: "Pull Requests" },
+      { urlPattern: "/issues\\b", label: "Issues" },
+    ],
+    title: [
+      // Legacy selectors
+      '[id^="issue_"] .Link--primary',
+      '[id^="issue_"] a.markdown-title',
+      '[id^="issue_"] a.js-navigation-open',
+      ".js-issue-row .Link--primary",
+      ".js-issue-row a.markdown-title",
+      ".js-issue-row a.js-navigation-open",
+      // React-based UI
+      '[data-testid="issue-row"] a[data-testid="issue-title-link"]',
+      '[data-testid="list-row"] a[data-testid="issue-title-link"]',
+      '[data-testid="list-row"] a[data-testid="pull-request-title-link"]',
+      '.js-navigation-container .Link--primary[href*="/pull/"]',
+      '.js-navigation-container .Link--primary[href*="/issues/"]',
+      '.js-issue-row a[data-hovercard-type="pull_request"]',
+      '.js-issue-row a[data-hovercard-type="issue"]',
+      '.listRow a.Link--primary[href*="/issues/"]',
+      '.listRow a.Link--primary[href*="/pull/"]',
+      'div[data-id] a.Link--primary[href*="/issues/"]',
+      'div[data-id] a.Link--primary[href*="/pull/"]',
+      // Broad fallback for markdown-title links
+      'a.markdown-title[href*="/pull/"]',
+      'a.markdown-title[href*="/issues/"]',
+      'a.js-navigation-open[href*="/pull/"]',
+      'a.js-navigation-open[href*="/issues/"]',
+    ],
+    hrefPattern: "/(pull|issues)/\\d+",
+    containers: ISSUE_ROW_CONTAINERS,
+    fields: ISSUE_ROW_FIELDS,
+  },
+  {
+    id: "projects",
+    pages: [{ urlPattern: "/projects\\b", label: "Projects" }],
+    title: [
+      "a.Link--primary[href*='/projects/']",
+      "a[href*='/projects/'].Link--primary",
+    ],
+    hrefPattern: "/projects/",
+  },
+  {
+    id: "discussions",
+    pages: [{ urlPattern: "/discussions\\b", label: "Discussions" }],
+    title: [
+      'a[data-hovercard-type="discussion"]',
+      '.Link--primary[href*="/discussions/"]',
+    ],
+    hrefPattern: "/discussions/\\d+",
+  },
+  {
+    id: "releases",
+    pages: [{ urlPattern: "/releases\\b", label: "Releases" }],
+    title: [
+      ".release .Link--primary",
+      '[data-testid="release-card"] a.Link--primary',
+      ".Box-row h2 a",
+      'a[href*="/releases/tag/"]',
+    ],
+    hrefPattern: "/releases/tag/",
+  },
+  {
+    id: "tags",
+    pages: [{ urlPattern: "/tags\\b", label: "Tags" }],
+    title: [
+      '.Box-row a.Link--primary[href*="/tree/"]',
+      ".Box-row h4 a",
+      'a.Link--primary[href*="/releases/tag/"]',
+    ],
+  },
+  {
+    id: "branches",
+    pages: [{ urlPattern: "/branches\\b", label: "Branches" }],
+    title: [
+      ".branch-name a",
+      'a[href*="/tree/"].branch-name',
+      '.Box-row a.Link--primary[href*="/tree/"]',
+    ],
+    hrefPattern: "/tree/",
+  },
+  {
+    id: "commits",
+    pages: [{ urlPattern: "/commits\\b", label: "Commits" }],
+    title: [
+      'a.Link--primary[href*="/commit/"]',
+      ".js-commits-list-item a.Link--primary",
+      '.TimelineItem a.Link--primary[href*="/commit/"]',
+    ],
+    hrefPattern: "/commit/",
+  },
+  {
+    id: "actions",
+    pages: [{ urlPattern: "/actions\\b", label: "Actions" }],
+    title: [
+      '.Box-row a.Link--primary[href*="/actions/runs/"]',
+      'a[href*="/actions/runs/"].Link--primary',
+    ],
+    hrefPattern: "/actions/runs/",
+  },
+  {
+    id: "packages",
+    pages: [{ urlPattern: "/packages\\b", label: "Packages" }],
+    title: ['a.Link--primary[href*="/packages/"]'],
+    hrefPattern: "/packages/",
+  },
+  {
+    id: "repositories",
+    pages: [
+      { urlPattern: "\\?tab=repositories", label: "Repositories" },
+      { urlPattern: "/orgs/[^/]+/repositories", label: "Repositories" },
+      { urlPattern: "/trending", label: "Trending" },
+      { urlPattern: "/explore", label: "Explore" },
+      { urlPattern: "/stars", label: "Stars" },
+    ],
+    title: [
+      // User/org repo list
+      '[itemprop="name codeRepository"] a',
+      'a[itemprop="name codeRepository"]',
+      'h3 a[href*="/"][data-hovercard-type="repository"]',
+      // Repo list on profile tab
+      "#user-repositories-list h3 a",
+      ".org-repos h3 a",
+      // Search results
+      ".repo-list h3 a",
+      '.search-title a[href*="/"]',
+      // Starred repos
+      '.d-block h3 a[href*="/"]',
+      // Explore / trending
+      'article h3 a[href*="/"]',
+      'h3 a.Link[href*="/"]',
+      // Generic repo links with hovercard
+      'a[data-hovercard-type="repository"]',
+    ],
+    hrefPattern: "^/[^/]+/[^/]+/?$",
+  },
+  // Search covers every item kind, so it only names the page
+  {
+    id: "search",
+    pages: [{ urlPattern: "/search", label: "Search Results" }],
+  },
+  {
+    id: "gists",
+    pages: [{ urlPattern: "gist\\.github\\.com", label: "Gists" }],
+    title: [
+      ".gist-snippet .Link--primary",
+      'a.Link--primary[href*="gist.github.com"]',
+      '.css-truncate a[href*="/"]',
+    ],
+  },
+];
+
+// ---- User Rules ----
+//
+// Kept in chrome.storage.local: rule sets easily outgrow sync's per-item
+// quota. Teams share them through JSON export/import instead.
+
+async function loadUserRules() {
+  const stored = await chrome.storage.local.get({ [USER_RULES_STORAGE_KEY]: [] });
+  return stored[USER_RULES_STORAGE_KEY];
+}
+
+function saveUserRules(rules) {
+  return chrome.storage.local.set({ [USER_RULES_STORAGE_KEY]: rules });
+}
+
+function onUserRulesChanged(callback) {
+  chrome.storage.onChanged.addListener((changes, area) => {
+    if (area === "local" && changes[USER_RULES_STORAGE_KEY]) {
+      callback(changes[USER_RULES_STORAGE_KEY].newValue || []);
+    }
+  });
+}
+
+/**
+ * Effective rule list: user rules with a built-in id replace it in place
+ * (keeping its priority), new ones are checked before the built-ins.
+ * Invalid user rules are skipped so a bad edit can't break extraction.
+ */
+function mergeRules(userRules) {
+  const valid = userRules.filter((rule) => !validateRule(rule));
+  const byId = new Map(valid.map((rule) => [rule.id, rule]));
+  const builtinIds = new Set(BUILTIN_RULES.map((rule) => rule.id));
+
+  return [
+    ...valid.filter((rule) => !builtinIds.has(rule.id)),
+    ...BUILTIN_RULES.map((rule) => byId.get(rule.id) || rule),
+  ];
+}
+
+/**
+ * First rule whose page pattern matches `location` (path + query string).
+ */
+function findPageRule(rules, location) {
+  for (const rule of rules) {
+    for (const page of rule.pages || []) {
+      if (new RegExp(page.urlPattern).test(location)) return { rule, label: page.label };
+    }
+  }
+  return null;
+}
+
+// ---- Validation ----
+
+function getRegexError(pattern) {
+  try {
+    new RegExp(pattern);
+    return null;
+  } catch (err) {
+    return err.message;
+  }
+}
+
+function isValidSelector(selector) {
+  if (typeof selector !== "string" || !selector.trim()) return false;
+  try {
+    document.createDocumentFragment().querySelector(selector);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+function getSelectorListError(list, name) {
+  if (!Array.isArray(list) || list.length === 0) {
+    return `${name} must be a non-empty array of CSS selectors.`;
+  }
+  const index = list.findIndex((selector) => !isValidSelector(selector));
+  return index >= 0 ? `${name}[${index}] is not a valid CSS selector.` : null;
+}
+
+function getFieldError(name, spec) {
+  if (!spec || typeof spec !== "object") return `fields.${name} must be an object.`;
+  if (!FIELD_TYPES.includes(spec.type)) {
+    return `fields.${name}.type must be one of: ${FIELD_TYPES.join(", ")}.`;
+  }
+
+  if (spec.type === "state") {
+    const map = spec.map || {};
+    if (typeof map !== "object" || Array.isArray(map)) {
+      return `fields.${name}.map must map selectors to states.`;
+    }
+    const bad = Object.keys(map).find((selector) => !isValidSelector(selector));
+    if (bad !== undefined) return `fields.${name}.map: "${bad}" is not a valid CSS selector.`;
+    return null;
+  }
+
+  if (spec.attribute !== undefined && typeof spec.attribute !== "string") {
+    return `fields.${name}.attribute must be a string.`;
+  }
+  if (spec.type === "links" && spec.hrefPattern !== undefined) {
+    const regexError =
+      typeof spec.hrefPattern === "string" ? getRegexError(spec.hrefPattern) : "must be a string";
+    if (regexError) return `fields.${name}.hrefPattern: ${regexError}`;
+  }
+  return getSelectorListError(spec.selector, `fields.${name}.selector`);
+}
+
+/**
+ * Returns a problem description for the options page, or null if the
+ * rule is usable.
+ */
+function validateRule(rule) {
+  if (!rule || typeof rule !== "object" || Array.isArray(rule)) {
+    return "must be an object.";
+  }
+
+  const unknown = Object.keys(rule).find((key) => !RULE_KEYS.includes(key));
+  if (unknown) return `unknown key "${unknown}" (expected ${RULE_KEYS.join(", ")}).`;
+
+  if (typeof rule.id !== "string" || !/^[A-Za-z][\w-]*$/.test(rule.id)) {
+    return "id must start with a letter and use only letters, digits, - and _.";
+  }
+
+  if (rule.pages !== undefined) {
+    if (!Array.isArray(rule.pages)) return "pages must be an array.";
+    for (const [i, page] of rule.pages.entries()) {
+      if (typeof page?.urlPattern !== "string" || !page.urlPattern) {
+        return `pages[${i}].urlPattern is required.`;
+      }
+      const regexError = getRegexError(page.urlPattern);
+      if (regexError) return `pages[${i}].urlPattern: ${regexError}`;
+      if (typeof page.label !== "string" || !page.label.trim()) {
+        return `pages[${i}].label is required.`;
+      }
+    }
+  }
+
+  if (!rule.title && !rule.record && !rule.pages?.length) {
+    return "needs pages to match, title selectors to extract, or both.";
+  }
+
+  if (rule.title !== undefined && rule.record !== undefined) {
+    return "use either title (a list of items) or record (a single item), not both.";
+  }
+
+  if (rule.title !== undefined) {
+    const error = getSelectorListError(rule.title, "title");
+    if (error) return error;
+  }
+
+  if (rule.record !== undefined) {
+    const error = getSelectorListError(rule.record, "record");
+    if (error) return error;
+  }
+
+  if (rule.hrefPattern !== undefined && rule.hrefPattern !== null) {
+    if (typeof rule.hrefPattern !== "string") return "hrefPattern must be a string.";
+    const regexError = getRegexError(rule.hrefPattern);
+    if (regexError) return `hrefPattern: ${regexError}`;
+  }
+
+  if (rule.containers !== undefined) {
+    const error = getSelectorListError(rule.containers, "containers");
+    if (error) return error;
+  }
+
+  if (rule.fields !== undefined) {
+    if (!rule.fields || typeof rule.fields !== "object" || Array.isArray(rule.fields)) {
+      return "fields must be an object.";
+    }
+    if (!rule.containers && !rule.record) return "fields need containers to read them from.";
+    for (const [name, spec] of Object.entries(rule.fields)) {
+      const error = getFieldError(name, spec);
+      if (error) return error;
+    }
+  }
+
+  return null;
+}
+
+function validateRules(rules) {
+  if (!Array.isArray(rules)) return "Rules must be a JSON array.";
+
+  const seen = new Set();
+  for (const [i, rule] of rules.entries()) {
+    const name = typeof rule?.id === "string" ? ` ("${rule.id}")` : "";
+    const problem = validateRule(rule);
+    if (problem) return `Rule ${i + 1}${name}: ${problem}`;
+    if (seen.has(rule.id)) return `Rule ${i + 1}${name}: duplicate id.`;
+    seen.add(rule.id);
+  }
+  return null;
+}
+
+// ---- Import / Export ----
+
+function formatRulesJson(rules) {
+  return JSON.stringify(rules, null, 2);
+}
+
+/**
+ * Editor text or an exported file → `{ rules }` or `{ error }`. Blank
+ * text means no user rules.
+ */
+function parseRulesJson(text) {
+  if (!text.trim()) return { rules: [] };
+
+  let rules;
+  try {
+    rules = JSON.parse(text);
+  } catch (err) {
+    return { error: `Invalid JSON: ${err.message}` };
+  }
+
+  const error = validateRules(rules);
+  return error ? { error } : { rules };
+}
@@ -0,0 +1,121 @@
+"use strict";
+
+/**
+ * GitHub Extractor — Settings
+ *
+ * User preferences persisted in chrome.storage.sync. Read by the popup,
+ * the options page and the content script; missing keys fall back to
+ * DEFAULT_SETTINGS so new settings need no migration.
+ */
+
+const DEFAULT_SETTINGS = {
+  defaultFormat: "markdown",
+  includeNumbers: true,
+  // "all" or "none" — what the popup selects after extracting
+  defaultSelection: "all",
+  // Page types (rule ids, see shared/rules.js) where the hover button is off
+  disabledInlinePages: [],
+  inlineBasketButton: true,
+  // What a modified click on the inline copy button copies, as LINK_VARIANTS
+  // ids (shared/format.js); a plain click always copies a rich link
+  inlineClickVariants: { shift: "markdown", alt: "url", ctrl: "reference" },
+  toastDuration: 2000,
+  downloadFormat: "json",
+  // CSV/TSV/XLSX columns, ids from SPREADSHEET_COLUMNS (shared/spreadsheet.js);
+  // the BOM only goes into downloaded CSV, so Excel reads it as UTF-8
+  spreadsheetColumns: ["title", "number", "url"],
+  csvDelimiter: ",",
+  csvBom: false,
+  // Popup list order: "page" (as found) or a key of SORT_KEYS in popup.js;
+  // groupBy is "none", "type" or "repo"
+  sortBy: "page",
+  sortDescending: false,
+  groupBy: "none",
+  // Popup filter: "exact" substrings or "fuzzy" ranked subsequence matches
+  filterMode: "exact",
+  // Extraction history caps (see shared/history.js): 0 entries turns
+  // history off, 0 days keeps entries regardless of age
+  historyMaxEntries: 50,
+  historyMaxAgeDays: 30,
+  // Origins the extension works on (see shared/hosts.js)
+  githubHosts: ["https://github.com"],
+  // REST API root; point at a mock server or GitHub Enterprise's /api/v3
+  apiBaseUrl: "https://api.github.com",
+  // Lower-case label name → changelog section (see shared/changelog.js)
+  changelogLabels: {
+    "breaking change": "Breaking",
+    breaking: "Breaking",
+    enhancement: "Features",
+    feature: "Features",
+    bug: "Fixes",
+    bugfix: "Fixes",
+    chore: "Chores",
+    dependencies: "Chores",
+    documentation: "Chores",
+  },
+};
+
+// Secrets stay on this device: chrome.storage.local is never synced.
+const DEFAULT_LOCAL_SETTINGS = {
+  apiToken: "",
+};
+
+// Page types the inline copy button can be toggled for, in display order.
+const INLINE_PAGE_TYPES = [
+  { type: "issueOrPr", label: "Pull requests & issues" },
+  { type: "detail", label: "Single PR or issue pages" },
+  { type: "milestone", label: "Milestone items" },
+  { type: "milestonesList", label: "Milestones list" },
+  { type: "repositories", label: "Repositories, stars & trending" },
+  { type: "releases", label: "Releases" },
+  { type: "tags", label: "Tags" },
+  { type: "branches", label: "Branches" },
+  { type: "commits", label: "Commits" },
+  { type: "discussions", label: "Discussions" },
+  { type: "actions", label: "Actions" },
+  { type: "projects", label: "Projects" },
+  { type: "packages", label: "Packages" },
+  { type: "gists", label: "Gists" },
+  { type: "generic", label: "Any other GitHub page" },
+];
+
+// Keys of inlineClickVariants, in the order a click checks them. ⌘ counts
+// as Ctrl, since Ctrl-click opens the context menu on macOS.
+const INLINE_CLICK_MODIFIERS = [
+  { key: "shift", label: "Shift" },
+  { key: "alt", label: "Alt" },
+  { key: "ctrl", label: "Ctrl / ⌘" },
+];
+
+function loadSettings() {
+  return chrome.storage.sync.get(DEFAULT_SETTINGS);
+}
+
+function saveSettings(patch) {
+  return chrome.storage.sync.set(patch);
+}
+
+function loadLocalSettings() {
+  return chrome.storage.local.get(DEFAULT_LOCAL_SETTINGS);
+}
+
+function saveLocalSettings(patch) {
+  return chrome.storage.local.set(patch);
+}
+
+/**
+ * Calls back with only the settings that changed, as plain values.
+ */
+function onSettingsChanged(callback) {
+  chrome.storage.onChanged.addListener((changes, area) => {
+    if (area !== "sync") return;
+
+    const patch = {};
+    for (const [key, change] of Object.entries(changes)) {
+      if (key in DEFAULT_SETTINGS) {
+        patch[key] = change.newValue ?? DEFAULT_SETTINGS[key];
+      }
+    }
+    if (Object.keys(patch).length > 0) callback(patch);
+  });
+}
@@ -0,0 +1,375 @@
+"use strict";
+
+/**
+ * GitHub Extractor — Spreadsheet Output
+ *
+ * Tables of items in the user's chosen columns, for the CSV and
+ * Spreadsheet copy formats and the CSV/XLSX downloads:
+ *
+ *   CSV   RFC 4180 — every field that needs it quoted, CRLF rows, a
+ *         configurable delimiter and an optional UTF-8 BOM (Excel)
+ *   TSV   for pasting into Google Sheets or Excel; the title is a
+ *         =HYPERLINK(url, title) formula so it arrives as a link
+ *   XLSX  a minimal Office Open XML workbook, zipped in the browser, with
+ *         a bold header row and real hyperlinks on the title column
+ *
+ * Text that a spreadsheet would run as a formula (=, +, -, @) is prefixed
+ * with an apostrophe, so a crafted title can't execute on open. Depends on
+ * shared/templates.js for item fields.
+ */
+
+const SPREADSHEET_COLUMNS = [
+  { id: "title", label: "Title" },
+  { id: "number", label: "Number" },
+  { id: "url", label: "URL" },
+  { id: "owner", label: "Owner" },
+  { id: "repository", label: "Repository" },
+  { id: "type", label: "Type" },
+  { id: "state", label: "State" },
+  { id: "author", label: "Author" },
+  { id: "assignees", label: "Assignees" },
+  { id: "labels", label: "Labels" },
+  { id: "milestone", label: "Milestone" },
+  { id: "comments", label: "Comments" },
+  { id: "createdAt", label: "Created" },
+  { id: "updatedAt", label: "Updated" },
+];
+
+const CSV_DELIMITERS = [
+  { value: ",", label: "Comma" },
+  { value: ";", label: "Semicolon (Excel in many locales)" },
+  { value: "\t", label: "Tab" },
+];
+
+// Excel rejects longer strings inside a formula
+const HYPERLINK_MAX_TEXT = 255;
+
+const XLSX_MIME = "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet";
+
+function getSpreadsheetOptions(settings) {
+  return {
+    columns: settings.spreadsheetColumns,
+    delimiter: settings.csvDelimiter,
+    bom: settings.csvBom,
+  };
+}
+
+function getSpreadsheetColumns(ids = []) {
+  const columns = SPREADSHEET_COLUMNS.filter((column) => ids.includes(column.id));
+  return columns.length ? columns : SPREADSHEET_COLUMNS.slice(0, 3);
+}
+
+/**
+ * Cell values for one item, keyed by column id. Numbers stay numbers so
+ * spreadsheets sort them as such.
+ */
+function getSpreadsheetRow(item, index) {
+  const fields = getItemFields(item, index, true);
+  return {
+    ...fields,
+    number: /^\d+$/.test(fields.num) ? Number(fields.num) : fields.num,
+    repository: fields.owner && fields.repo ? `${fields.owner}/${fields.repo}` : "",
+    comments: fields.comments === "" ? "" : Number(fields.comments),
+  };
+}
+
+function neutralizeFormula(value) {
+  return typeof value === "string" && /^[=+\-@\t\r]/.test(value) ? `'${value}` : value;
+}
+
+// ---- CSV ----
+
+function quoteCsvField(value, delimiter) {
+  const text = String(neutralizeFormula(value));
+  if (text.includes(delimiter) || /["\r\n]/.test(text) || text !== text.trim()) {
+    return `"${text.replace(/"/g, '""')}"`;
+  }
+  return text;
+}
+
+function buildCsv(items, { columns, delimiter = ",", bom = false } = {}) {
+  const chosen = getSpreadsheetColumns(columns);
+  const rows = [
+    chosen.map((column) => quoteCsvField(column.label, delimiter)),
+    ...items.map((item, index) => {
+      const row = getSpreadsheetRow(item, index);
+      return chosen.map((column) => quoteCsvField(row[column.id], delimiter));
+    }),
+  ];
+
+  return (bom ? "\uFEFF" : "") + rows.map((cells) => cells.join(delimiter)).join("\r\n") + "\r\n";
+}
+
+// ---- TSV (clipboard) ----
+
+function formulaString(text) {
+  return `"${String(text).replace(/"/g, '""')}"`;
+}
+
+/**
+ * Tab-separated rows for pasting. Cells can't hold tabs or line breaks,
+ * so those become spaces.
+ *
+ * A pasted formula is read in the spreadsheet's locale, and locales with a
+ * decimal comma separate arguments with `;`. The clipboard can't tell
+ * which one is on the other end, so the CSV delimiter setting stands in:
+ * with semicolon chosen the formula uses `;`, otherwise `,`.
+ */
+function buildTsv(items, { columns, delimiter } = {}) {
+  const chosen = getSpreadsheetColumns(columns);
+  const separator = delimiter === ";" ? ";" : ",";
+  const clean = (value) => String(value).replace(/[\t\r\n]+/g, " ");
+
+  const rows = [
+    chosen.map((column) => column.label),
+    ...items.map((item, index) => {
+      const row = getSpreadsheetRow(item, index);
+      return chosen.map((column) => {
+        if (column.id === "title") {
+          const title = clean(row.title).slice(0, HYPERLINK_MAX_TEXT);
+          return `=HYPERLINK(${formulaString(row.url)}${separator}${formulaString(title)})`;
+        }
+        return clean(neutralizeFormula(row[column.id]));
+      });
+    }),
+  ];
+
+  return rows.map((cells) => cells.join("\t")).join("\n");
+}
+
+// ---- XLSX ----
+
+function escapeXml(str) {
+  return String(str)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    // Control characters aren't allowed in XML 1.0
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, "");
+}
+
+// 0 → "A", 26 → "AA"
+function getColumnName(index) {
+  let name = "";
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+  }
+  return name;
+}
+
+// Style ids from XLSX_STYLES: 0 plain, 1 bold header, 2 hyperlink
+function xlsxCell(ref, value, style = 0) {
+  const s = style ? ` s="${style}"` : "";
+  if (typeof value === "number") return `<c r="${ref}"${s}><v>${value}</v></c>`;
+  if (value === "") return "";
+  return `<c r="${ref}"${s} t="inlineStr"><is><t xml:space="preserve">${escapeXml(value)}</t></is></c>`;
+}
+
+const XLSX_STYLES =
+  '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+  '<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+  '<fonts count="3"><font><sz val="11"/><name val="Calibri"/></font>' +
+  '<font><b/><sz val="11"/><name val="Calibri"/></font>' +
+  '<font><u/><sz val="11"/><color rgb="FF0563C1"/><name val="Calibri"/></font></fonts>' +
+  '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>' +
+  '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>' +
+  '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>' +
+  '<cellXfs count="3"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>' +
+  '<xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/>' +
+  '<xf numFmtId="0" fontId="2" fillId="0" borderId="0" xfId="0" applyFont="1"/></cellXfs>' +
+  "</styleSheet>";
+
+/**
+ * The workbook's files: one sheet with a frozen header row and an
+ * external hyperlink relationship per title cell.
+ */
+function getXlsxFiles(items, { columns, sheetName = "Items" } = {}) {
+  const chosen = getSpreadsheetColumns(columns);
+  const titleColumn = chosen.findIndex((column) => column.id === "title");
+  const links = [];
+
+  const rows = [
+    `<row r="1">${chosen.map((column, c) => xlsxCell(`${getColumnName(c)}1`, column.label, 1)).join("")}</row>`,
+    ...items.map((item, index) => {
+      const r = index + 2;
+      const row = getSpreadsheetRow(item, index);
+      const cells = chosen.map((column, c) => {
+        const ref = `${getColumnName(c)}${r}`;
+        if (c === titleColumn) {
+          links.push({ ref, url: row.url });
+          return xlsxCell(ref, row.title, 2);
+        }
+        return xlsxCell(ref, row[column.id]);
+      });
+      return `<row r="${r}">${cells.join("")}</row>`;
+    }),
+  ];
+
+  const hyperlinks = links.length
+    ? `<hyperlinks>${links.map((link, i) => `<hyperlink ref="${link.ref}" r:id="rId${i + 1}"/>`).join("")}</hyperlinks>`
+    : "";
+  const sheet =
+    '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+    '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" ' +
+    'xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">' +
+    '<sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews>' +
+    `<sheetData>${rows.join("")}</sheetData>${hyperlinks}</worksheet>`;
+
+  const sheetRels =
+    '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+    '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+    links
+      .map(
+        (link, i) =>
+          `<Relationship Id="rId${i + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/hyperlink" Target="${escapeXml(link.url)}" TargetMode="External"/>`
+      )
+      .join("") +
+    "</Relationships>";
+
+  return [
+    {
+      name: "[Content_Types].xml",
+      content:
+        '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+        '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+        '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+        '<Default Extension="xml" ContentType="application/xml"/>' +
+        '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+        '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>' +
+        '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>' +
+        "</Types>",
+    },
+    {
+      name: "_rels/.rels",
+      content:
+        '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+        '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+        '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>' +
+        "</Relationships>",
+    },
+    {
+      name: "xl/workbook.xml",
+      content:
+        '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+        '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" ' +
+        'xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">' +
+        `<sheets><sheet name="${escapeXml(getSheetName(sheetName))}" sheetId="1" r:id="rId1"/></sheets>` +
+        "</workbook>",
+    },
+    {
+      name: "xl/_rels/workbook.xml.rels",
+      content:
+        '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+        '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+        '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>' +
+        '<Relationship Id="rId2" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>' +
+        "</Relationships>",
+    },
+    { name: "xl/styles.xml", content: XLSX_STYLES },
+    { name: "xl/worksheets/sheet1.xml", content: sheet },
+    { name: "xl/worksheets/_rels/sheet1.xml.rels", content: sheetRels },
+  ];
+}
+
+// Excel sheet names: at most 31 characters, none of : \ / ? * [ ]
+function getSheetName(name) {
+  return String(name).replace(/[:\\/?*[\]\s]+/g, " ").trim().slice(0, 31) || "Items";
+}
+
+function buildXlsx(items, options) {
+  const encoder = new TextEncoder();
+  return buildZip(
+    getXlsxFiles(items, options).map((file) => ({ name: file.name, data: encoder.encode(file.content) }))
+  );
+}
+
+// ---- ZIP (stored) ----
+//
+// XLSX is a ZIP package. Entries are stored uncompressed, which every
+// reader accepts and keeps this free of a deflate implementation.
+
+let crcTable = null;
+
+function crc32(bytes) {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      crcTable[n] = c >>> 0;
+    }
+  }
+
+  let crc = 0xffffffff;
+  for (const byte of bytes) crc = crcTable[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * `[{ name, data: Uint8Array }]` → the bytes of a ZIP archive.
+ */
+function buildZip(files, date = new Date()) {
+  const encoder = new TextEncoder();
+  const dosTime = (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1);
+  const dosDate = ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate();
+
+  const parts = [];
+  const central = [];
+  let offset = 0;
+
+  for (const file of files) {
+    const name = encoder.encode(file.name);
+    const crc = crc32(file.data);
+    const size = file.data.length;
+
+    // Shared by the local header and the central directory entry:
+    // version 2.0, UTF-8 names, stored, time, date, CRC, sizes, name length
+    const fields = (view, at) => {
+      view.setUint16(at, 20, true);
+      view.setUint16(at + 2, 0x0800, true);
+      view.setUint16(at + 4, 0, true);
+      view.setUint16(at + 6, dosTime, true);
+      view.setUint16(at + 8, dosDate, true);
+      view.setUint32(at + 10, crc, true);
+      view.setUint32(at + 14, size, true);
+      view.setUint32(at + 18, size, true);
+      view.setUint16(at + 22, name.length, true);
+    };
+
+    const local = new Uint8Array(30 + name.length);
+    const localView = new DataView(local.buffer);
+    localView.setUint32(0, 0x04034b50, true);
+    fields(localView, 4);
+    local.set(name, 30);
+
+    const entry = new Uint8Array(46 + name.length);
+    const entryView = new DataView(entry.buffer);
+    entryView.setUint32(0, 0x02014b50, true);
+    entryView.setUint16(4, 20, true);
+    fields(entryView, 6);
+    entryView.setUint32(42, offset, true);
+    entry.set(name, 46);
+
+    parts.push(local, file.data);
+    central.push(entry);
+    offset += local.length + size;
+  }
+
+  const centralSize = central.reduce((sum, entry) => sum + entry.length, 0);
+  const end = new Uint8Array(22);
+  const endView = new DataView(end.buffer);
+  endView.setUint32(0, 0x06054b50, true);
+  endView.setUint16(8, files.length, true);
+  endView.setUint16(10, files.length, true);
+  endView.setUint32(12, centralSize, true);
+  endView.setUint32(16, offset, true);
+
+  const zip = new Uint8Array(offset + centralSize + end.length);
+  let at = 0;
+  for (const part of [...parts, ...central, end]) {
+    zip.set(part, at);
+    at += part.length;
+  }
+  return zip;
+}
@@ -0,0 +1,169 @@
+"use strict";
+
+/**
+ * GitHub Extractor — Output Templates
+ *
+ * User-defined formats built from `{{placeholder}}` strings. A template
+ * has a plain-text variant and an optional HTML variant, each split into
+ * header, per-item line, separator and footer:
+ *
+ *   {
+ *     id, name,
+ *     text: { header, item, separator, footer },
+ *     html: { header, item, separator, footer },
+ *   }
+ *
+ * When the HTML item part is empty the template copies as plain text only.
+ * Depends on shared/github-url.js and shared/format.js.
+ */
+
+const TEMPLATES_STORAGE_KEY = "templates";
+
+const ITEM_PLACEHOLDERS = [
+  "title", "url", "number", "num", "owner", "repo", "type", "state",
+  "labels", "author", "assignees", "milestone", "comments", "createdAt",
+  "updatedAt", "base", "head", "reviewers", "linked", "index",
+];
+
+// Header/footer only see the page, not an individual item.
+const PAGE_PLACEHOLDERS = ["count", "date", "page", "owner", "repo", "url"];
+
+const TYPE_NAMES = {
+  pull: "PR",
+  issue: "Issue",
+  discussion: "Discussion",
+  milestone: "Milestone",
+  run: "Run",
+  commit: "Commit",
+  release: "Release",
+  branch: "Branch",
+  repo: "Repository",
+};
+
+function createTemplate() {
+  return {
+    id: Date.now().toString(36),
+    name: "",
+    text: { header: "", item: "- {{title}} {{number}} — {{url}}", separator: "\\n", footer: "" },
+    html: { header: "<ul>", item: '<li><a href="{{url}}">{{title}} {{number}}</a></li>', separator: "", footer: "</ul>" },
+  };
+}
+
+function hasHtmlVariant(template) {
+  return Boolean(template.html?.item?.trim());
+}
+
+/**
+ * Separators are typed into single-line inputs, so `\n` and `\t` are
+ * written as escape sequences and expanded here.
+ */
+function unescapeSeparator(str) {
+  return (str || "").replace(/\\([nt\\])/g, (_, ch) =>
+    ch === "n" ? "\n" : ch === "t" ? "\t" : "\\"
+  );
+}
+
+function getItemFields(item, index, withNumbers) {
+  const parsed = parseGitHubUrl(item.url) || {};
+  const digits = item.number ? item.number.replace(/^#/, "") : "";
+
+  return {
+    title: item.title,
+    url: item.url,
+    number: withNumbers && item.number ? item.number : "",
+    num: digits,
+    owner: item.owner ?? parsed.owner ?? "",
+    repo: item.repo ?? parsed.repo ?? "",
+    type: TYPE_NAMES[parsed.kind] || "",
+    state: item.state || "",
+    labels: (item.labels || []).map((label) => label.name).join(", "),
+    author: item.author || "",
+    assignees: (item.assignees || []).join(", "),
+    milestone: item.milestone || "",
+    comments: item.comments ?? "",
+    createdAt: item.createdAt || "",
+    updatedAt: item.updatedAt || "",
+    base: item.base || "",
+    head: item.head || "",
+    reviewers: (item.reviewers || []).join(", "),
+    linked: (item.linkedIssues || []).map((link) => formatShortReference(link.url)).join(", "),
+    index: String(index + 1),
+  };
+}
+
+function getPageFields(items, context) {
+  return {
+    count: String(items.length),
+    date: new Date().toISOString().slice(0, 10),
+    page: context.pageLabel || "",
+    owner: context.owner || "",
+    repo: context.repo || "",
+    url: context.url || "",
+  };
+}
+
+function fillPlaceholders(pattern, fields, html) {
+  return (pattern || "").replace(/\{\{\s*(\w+)\s*\}\}/g, (whole, name) => {
+    if (!Object.prototype.hasOwnProperty.call(fields, name)) return whole;
+    const value = String(fields[name]);
+    return html ? escapeAttr(value) : value;
+  });
+}
+
+/**
+ * Renders a template for a list of items. `context` carries page-level
+ * values (pageLabel, owner, repo, url) for the header and footer.
+ */
+function renderTemplate(template, items, { withNumbers = true, html = false, context = {} } = {}) {
+  const parts = html ? template.html : template.text;
+  if (!parts) return "";
+
+  const pageFields = getPageFields(items, context);
+  const lines = items.map((item, index) =>
+    fillPlaceholders(parts.item, getItemFields(item, index, withNumbers), html)
+  );
+
+  return [
+    fillPlaceholders(parts.header, pageFields, html),
+    lines.join(unescapeSeparator(parts.separator)),
+    fillPlaceholders(parts.footer, pageFields, html),
+  ]
+    .filter((chunk, i) => i === 1 || chunk)
+    .join(html ? "" : "\n");
+}
+
+/**
+ * Returns a human-readable problem with the template, or null if valid.
+ */
+function validateTemplate(template) {
+  if (!template.name?.trim()) return "Give the template a name.";
+  if (!template.text?.item?.trim()) return "The plain-text item line is required.";
+
+  const check = (pattern, allowed, where) => {
+    for (const [, name] of (pattern || "").matchAll(/\{\{\s*(\w+)\s*\}\}/g)) {
+      if (!allowed.includes(name)) return `Unknown placeholder {{${name}}} in ${where}.`;
+    }
+    return null;
+  };
+
+  for (const variant of ["text", "html"]) {
+    const parts = template[variant] || {};
+    const label = variant === "text" ? "plain text" : "HTML";
+    const problem =
+      check(parts.item, ITEM_PLACEHOLDERS, `the ${label} item`) ||
+      check(parts.header, PAGE_PLACEHOLDERS, `the ${label} header`) ||
+      check(parts.footer, PAGE_PLACEHOLDERS, `the ${label} footer`);
+    if (problem) return problem;
+  }
+
+  return null;
+}
+
+async function loadTemplates() {
+  const stored = await chrome.storage.sync.get({ [TEMPLATES_STORAGE_KEY]: [] });
+  return stored[TEMPLATES_STORAGE_KEY];
+}
+
+function saveTemplates(templates) {
+  return chrome.storage.sync.set({ [TEMPLATES_STORAGE_KEY]: templates });
+}
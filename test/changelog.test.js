@@ -0,0 +1,124 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadShared } = require("./load-shared");
+
+const { parseConventionalTitle, classifyItem, buildChangelog, formatLabelMap, parseLabelMap } = loadShared(
+  ["github-url.js", "format.js", "changelog.js"],
+  ["parseConventionalTitle", "classifyItem", "buildChangelog", "formatLabelMap", "parseLabelMap"]
+);
+
+const url = (n) => `https://github.com/octo/app/pull/${n}`;
+
+// The heading carries today's date
+function withoutDate(text) {
+  return text.replace(/\d{4}-\d{2}-\d{2}/, "DATE");
+}
+
+test("parseConventionalTitle reads type, scope, breaking mark and subject", () => {
+  assert.deepEqual(parseConventionalTitle("feat(ui): add dark mode"), {
+    type: "feat",
+    scope: "ui",
+    breaking: false,
+    subject: "add dark mode",
+  });
+  assert.deepEqual(parseConventionalTitle("Refactor!: drop Node 16"), {
+    type: "refactor",
+    scope: "",
+    breaking: true,
+    subject: "drop Node 16",
+  });
+  assert.equal(parseConventionalTitle("Update README"), null);
+  // Unknown types are left alone rather than guessed
+  assert.equal(parseConventionalTitle("wip: half done"), null);
+});
+
+test("classifyItem prefers labels, then the title prefix, then Other", () => {
+  const labelMap = { bug: "Fixes", enhancement: "Features", "breaking change": "Breaking" };
+  const classify = (title, labels = []) =>
+    classifyItem({ title, labels: labels.map((name) => ({ name })) }, labelMap).section;
+
+  assert.equal(classify("feat: x"), "Features");
+  assert.equal(classify("docs: x"), "Chores");
+  assert.equal(classify("Plain title"), "Other");
+  assert.equal(classify("feat: x", ["bug"]), "Fixes");
+  assert.equal(classify("Plain title", ["unmapped", "enhancement"]), "Features");
+  assert.equal(classify("fix!: x"), "Breaking");
+  assert.equal(classify("fix: x", ["bug", "breaking change"]), "Breaking");
+});
+
+test("buildChangelog groups entries by section in a fixed order", () => {
+  const items = [
+    { title: "Update README", url: url(5), number: "#5" },
+    { title: "fix(parser): handle empty input", url: url(3), number: "#3" },
+    { title: "feat!: new config format", url: url(1), number: "#1" },
+    { title: "feat: add export", url: url(2), number: "#2" },
+    { title: "chore: bump deps", url: url(4), number: "#4" },
+    { title: "Fix login", url: url(6), number: "#6", labels: [{ name: "Bug" }] },
+  ];
+  const { markdown } = buildChangelog(items, { labelMap: { BUG: "Fixes" } });
+
+  assert.equal(
+    withoutDate(markdown),
+    [
+      "## [Unreleased] - DATE",
+      "",
+      "### Breaking",
+      "",
+      `- new config format ([#1](${url(1)}))`,
+      "",
+      "### Features",
+      "",
+      `- add export ([#2](${url(2)}))`,
+      "",
+      "### Fixes",
+      "",
+      `- **parser:** handle empty input ([#3](${url(3)}))`,
+      `- Fix login ([#6](${url(6)}))`,
+      "",
+      "### Chores",
+      "",
+      `- bump deps ([#4](${url(4)}))`,
+      "",
+      "### Other",
+      "",
+      `- Update README ([#5](${url(5)}))`,
+    ].join("\n")
+  );
+});
+
+test("buildChangelog skips empty sections, links titles without numbers and escapes HTML", () => {
+  const items = [{ title: "fix(a<b): <script>", url: url(7), number: "#7", milestone: "v2.0" }];
+
+  const plain = buildChangelog(items, { withNumbers: false });
+  assert.equal(withoutDate(plain.markdown), `## [v2.0] - DATE\n\n### Fixes\n\n- **a<b:** [<script>](${url(7)})`);
+
+  assert.equal(
+    withoutDate(buildChangelog(items).html),
+    "<h2>[v2.0] - DATE</h2><h3>Fixes</h3><ul>" +
+      `<li><strong>a&lt;b:</strong> &lt;script&gt; (<a href="${url(7)}">#7</a>)</li></ul>`
+  );
+});
+
+test("the version is the shared milestone, otherwise Unreleased", () => {
+  const heading = (milestones) =>
+    withoutDate(
+      buildChangelog(milestones.map((milestone, i) => ({ title: "x", url: url(i), milestone }))).markdown
+    ).split("\n")[0];
+  assert.equal(heading(["v1", "v1"]), "## [v1] - DATE");
+  assert.equal(heading(["v1", "v2"]), "## [Unreleased] - DATE");
+  assert.equal(heading([undefined]), "## [Unreleased] - DATE");
+});
+
+test("label maps round-trip through the options text", () => {
+  const { map } = parseLabelMap("# comment\nBug = fixes\n\nkind = docs = chores\n");
+  assert.deepEqual(map, { bug: "Fixes", "kind = docs": "Chores" });
+  assert.deepEqual(parseLabelMap(formatLabelMap(map)).map, map);
+
+  assert.equal(
+    parseLabelMap("bug = Fixes\nbug = Bugs").error,
+    'Line 2: expected "label = Breaking | Features | Fixes | Chores | Other".'
+  );
+  assert.match(parseLabelMap("= Fixes").error, /^Line 1:/);
+});
@@ -0,0 +1,80 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadShared } = require("./load-shared");
+
+const { EXPORT_FORMATS, buildExport, getExportFilename } = loadShared(
+  ["github-url.js", "format.js", "templates.js", "spreadsheet.js", "export.js"],
+  ["EXPORT_FORMATS", "buildExport", "getExportFilename"]
+);
+
+const DATE = new Date(2026, 0, 5, 14, 22, 33);
+
+const ITEMS = [
+  { title: "Fix crash", url: "https://github.com/octo/app/pull/12", number: "#12" },
+  { title: "Add docs", url: "https://github.com/octo/app/issues/3", number: "#3" },
+];
+
+const PAGE = {
+  pageType: "issueOrPr",
+  pageLabel: "Pull Requests",
+  repo: { owner: "octo", repo: "hello-world" },
+  url: "https://github.com/octo/hello-world/pulls",
+  extractedAt: "2026-01-05T14:22:00.000Z",
+};
+
+test("getExportFilename slugs the repo and page label and stamps the local time", () => {
+  assert.equal(getExportFilename(PAGE, "csv", DATE), "octo-hello-world-pull-requests-20260105-142233.csv");
+  assert.equal(
+    getExportFilename({ repo: { owner: "Octo Org", repo: "a/b:c" }, pageLabel: "Milestone: v2.0 / Q1" }, "md", DATE),
+    "octo-org-a-b-c-milestone-v2-0-q1-20260105-142233.md"
+  );
+  assert.equal(getExportFilename({ pageLabel: "::" }, "json", DATE), "github-items-20260105-142233.json");
+  assert.equal(getExportFilename(null, "json", DATE), "github-items-20260105-142233.json");
+});
+
+test("every format has its extension and mime type", () => {
+  const specs = Object.fromEntries(
+    EXPORT_FORMATS.map((format) => {
+      const { mime, extension } = buildExport(format.id, ITEMS, PAGE);
+      return [format.id, [extension, mime]];
+    })
+  );
+  assert.deepEqual(specs, {
+    json: ["json", "application/json"],
+    ndjson: ["ndjson", "application/x-ndjson"],
+    csv: ["csv", "text/csv"],
+    xlsx: ["xlsx", "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet"],
+    md: ["md", "text/markdown"],
+  });
+  // Unknown formats fall back to JSON
+  assert.equal(buildExport("yaml", ITEMS, PAGE).extension, "json");
+});
+
+test("JSON carries the page envelope, NDJSON one item per line", () => {
+  const json = JSON.parse(buildExport("json", ITEMS, PAGE).content);
+  assert.equal(json.pageType, "issueOrPr");
+  assert.equal(json.sourceUrl, PAGE.url);
+  assert.equal(json.extractedAt, PAGE.extractedAt);
+  assert.equal(json.count, 2);
+  assert.deepEqual(json.items, ITEMS);
+
+  const lines = buildExport("ndjson", ITEMS, PAGE).content.split("\n");
+  assert.deepEqual(lines.slice(0, -1).map((line) => JSON.parse(line)), ITEMS);
+  assert.equal(lines.at(-1), "");
+});
+
+test("CSV, XLSX and Markdown contents", () => {
+  const csv = buildExport("csv", ITEMS, PAGE, { spreadsheet: { columns: ["title", "number"], delimiter: ";" } });
+  assert.equal(csv.content, "Title;Number\r\nFix crash;12\r\nAdd docs;3\r\n");
+
+  const xlsx = buildExport("xlsx", ITEMS, PAGE).content;
+  assert.ok(xlsx instanceof Uint8Array);
+  assert.equal(String.fromCharCode(...xlsx.subarray(0, 2)), "PK");
+
+  assert.equal(
+    buildExport("md", ITEMS, PAGE).content,
+    "- [Fix crash #12](https://github.com/octo/app/pull/12)\n- [Add docs #3](https://github.com/octo/app/issues/3)\n"
+  );
+});
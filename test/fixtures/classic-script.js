@@ -0,0 +1,9 @@
+"use strict";
+
+// A classic script like the ones in src/shared, for test/load-shared.test.js
+
+const FIXTURE_KINDS = ["pull", "issue"];
+
+function describeKind(kind) {
+  return FIXTURE_KINDS.includes(kind) ? `known ${kind}` : "unknown";
+}
@@ -0,0 +1,202 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadShared } = require("./load-shared");
+
+const { renderOutput, formatReference, formatShortReference, renderLinkVariant, LINK_VARIANTS } = loadShared(
+  ["github-url.js", "format.js"],
+  ["renderOutput", "formatReference", "formatShortReference", "renderLinkVariant", "LINK_VARIANTS"]
+);
+
+const url = (path) => `https://github.com/${path}`;
+
+// ---- References ----
+
+test("references drop the repository when it is the one being copied from", () => {
+  const context = { owner: "Octo", repo: "App" };
+  const ref = (path, fields = {}) => formatReference({ url: url(path), ...fields }, context);
+
+  assert.equal(ref("octo/app/pull/12"), "#12");
+  assert.equal(ref("octo/app/discussions/9"), "#9");
+  assert.equal(ref("other/lib/issues/3"), "other/lib#3");
+  assert.equal(ref("octo/app/commit/0123456789abcdef0123456789abcdef01234567"), "0123456");
+  assert.equal(ref("other/lib/commit/abcdef1234"), "other/lib@abcdef1");
+  // An item's own repository wins over the URL's (e.g. a PR listed from a fork)
+  assert.equal(ref("octo/app/pull/12", { owner: "fork", repo: "app" }), "fork/app#12");
+  assert.equal(formatReference({ url: url("octo/app/issues/3") }), "octo/app#3");
+});
+
+test("items without an autolink form stay as their URL", () => {
+  for (const path of ["octo/app/releases/tag/v1.0", "octo/app/tree/feat%ZZ", "octo/app", "search?q=x"]) {
+    assert.equal(formatReference({ url: url(path) }, { owner: "octo", repo: "app" }), url(path));
+  }
+  assert.equal(formatReference({ url: "http://[bad" }), "http://[bad");
+});
+
+test("the reference format lists several items and is plain text", () => {
+  const items = [{ url: url("octo/app/pull/1") }, { url: url("other/lib/issues/2") }];
+  const context = { owner: "octo", repo: "app" };
+  assert.deepEqual(renderOutput(items, "reference", { context }), {
+    text: "- #1\n- other/lib#2",
+    html: null,
+    label: "references",
+  });
+  assert.equal(renderOutput(items.slice(0, 1), "reference", { context }).text, "#1");
+});
+
+test("short references always carry the repository", () => {
+  assert.equal(formatShortReference(url("octo/app/pull/12")), "octo/app#12");
+  assert.equal(formatShortReference(url("octo/app/commit/abcdef1234")), "octo/app@abcdef1");
+  assert.equal(formatShortReference(url("octo/app/tree/main")), "octo/app");
+  assert.equal(formatShortReference(url("search?q=x")), url("search?q=x"));
+});
+
+// ---- Markup Dialects ----
+
+const TRICKY = {
+  title: "Fix a|b [x] *bold* <tag> & `code` _under_",
+  url: "https://github.com/octo/app/pull/1?q=[a]|b",
+  number: "#1",
+};
+
+function dialect(format, item = TRICKY) {
+  const output = renderOutput([item], format);
+  assert.equal(output.html, null, `${format} is plain text`);
+  return output.text;
+}
+
+test("Slack escapes &, < and > and the | that would end the URL", () => {
+  assert.equal(
+    dialect("slack"),
+    "• <https://github.com/octo/app/pull/1?q=[a]%7Cb|Fix a|b [x] *bold* &lt;tag&gt; &amp; `code` _under_ #1>"
+  );
+  const link = dialect("slack", { ...TRICKY, url: "https://github.com/o/r?a=1&b=<2>" });
+  assert.ok(link.startsWith("• <https://github.com/o/r?a=1&amp;b=&lt;2&gt;|"), link);
+});
+
+test("Jira backslash-escapes markup in the title and encodes [ ] | in the URL", () => {
+  assert.equal(
+    dialect("jira"),
+    "* [Fix a\\|b \\[x\\] \\*bold\\* <tag> & `code` \\_under\\_ #1|https://github.com/octo/app/pull/1?q=%5Ba%5D%7Cb]"
+  );
+  assert.equal(
+    dialect("jira", { ...TRICKY, title: "{x} +y+ ^z^ ~w~ -v- !u!", number: "" }),
+    "* [\\{x\\} \\+y\\+ \\^z\\^ \\~w\\~ \\-v\\- \\!u\\!|https://github.com/octo/app/pull/1?q=%5Ba%5D%7Cb]"
+  );
+});
+
+test("AsciiDoc escapes ] and turns formatting marks into attributes or references", () => {
+  assert.equal(
+    dialect("asciidoc"),
+    "* https://github.com/octo/app/pull/1?q=%5Ba%5D|b" +
+      "[Fix a|b [x\\] {asterisk}bold{asterisk} <tag> & {backtick}code{backtick} &#95;under&#95; #1]"
+  );
+  assert.equal(
+    dialect("asciidoc", { ...TRICKY, title: "^a^ ~b~ +c+", url: "https://github.com/o/r?x=a b", number: "" }),
+    "* https://github.com/o/r?x=a%20b[{caret}a{caret} {tilde}b{tilde} {plus}c{plus}]"
+  );
+});
+
+test("reStructuredText escapes \\, ` and < inside an anonymous link", () => {
+  assert.equal(
+    dialect("rst"),
+    "- `Fix a|b [x] *bold* \\<tag> & \\`code\\` _under_ #1 <https://github.com/octo/app/pull/1?q=[a]|b>`__"
+  );
+  assert.equal(
+    dialect("rst", { ...TRICKY, title: "a\\b", url: "https://github.com/o/r?x=<y>`", number: "" }),
+    "- `a\\\\b <https://github.com/o/r?x=%3Cy%3E%60>`__"
+  );
+});
+
+test("Org turns brackets into braces and encodes them in the URL", () => {
+  // Org has no escape, so its emphasis marks stay as they are
+  assert.equal(
+    dialect("org"),
+    "- [[https://github.com/octo/app/pull/1?q=%5Ba%5D|b][Fix a|b {x} *bold* <tag> & `code` _under_ #1]]"
+  );
+  assert.equal(
+    dialect("org", { ...TRICKY, title: "[[x]]", url: "https://github.com/o/r?x=a\\b", number: "" }),
+    "- [[https://github.com/o/r?x=a%5Cb][{{x}}]]"
+  );
+});
+
+test("MediaWiki writes wiki syntax in the title as character references", () => {
+  assert.equal(
+    dialect("mediawiki"),
+    "* [https://github.com/octo/app/pull/1?q=%5Ba%5D|b " +
+      "Fix a&#124;b &#91;x&#93; *bold* &#60;tag&#62; &#38; `code` _under_ #1]"
+  );
+  assert.equal(
+    dialect("mediawiki", { ...TRICKY, title: "{{x}} 'y' ~~~~ a=b", url: "https://github.com/o/r?<x>", number: "" }),
+    "* [https://github.com/o/r?%3Cx%3E &#123;&#123;x&#125;&#125; &#39;y&#39; &#126;&#126;&#126;&#126; a&#61;b]"
+  );
+});
+
+test("dialects list one bullet per item and honour withNumbers", () => {
+  const items = [
+    { title: "One", url: url("o/r/pull/1"), number: "#1" },
+    { title: "Two", url: url("o/r/pull/2"), number: "#2" },
+  ];
+  assert.equal(
+    renderOutput(items, "org", { withNumbers: false }).text,
+    `- [[${url("o/r/pull/1")}][One]]\n- [[${url("o/r/pull/2")}][Two]]`
+  );
+  assert.equal(renderOutput(items, "slack").label, "Slack");
+});
+
+// ---- Single Links ----
+
+const LINK = {
+  title: 'Say "hi" <b> & run',
+  url: 'https://github.com/octo/app/pull/1?q="x"&y=<z>',
+  displayText: 'Say "hi" <b> & run #1',
+};
+
+test("rich links escape the URL attribute and the text", () => {
+  assert.deepEqual(renderLinkVariant(LINK, "rich"), {
+    html:
+      '<a href="https://github.com/octo/app/pull/1?q=&quot;x&quot;&amp;y=&lt;z&gt;">' +
+      "Say &quot;hi&quot; &lt;b&gt; &amp; run #1</a>",
+    text: '[Say "hi" <b> & run #1](https://github.com/octo/app/pull/1?q="x"&y=<z>)',
+    label: "rich link",
+  });
+  // Unknown variants copy a rich link too
+  assert.deepEqual(renderLinkVariant(LINK, "nope"), renderLinkVariant(LINK, "rich"));
+  assert.equal(
+    renderLinkVariant({ ...LINK, url: "javascript:alert(1)\" onclick=\"x" }, "rich").html,
+    '<a href="javascript:alert(1)&quot; onclick=&quot;x">Say &quot;hi&quot; &lt;b&gt; &amp; run #1</a>'
+  );
+});
+
+test("text variants copy the raw values as plain text", () => {
+  const text = (variant, link = LINK) => {
+    const output = renderLinkVariant(link, variant);
+    assert.equal(output.html, null, variant);
+    return [output.text, output.label];
+  };
+  assert.deepEqual(text("markdown"), [`[${LINK.displayText}](${LINK.url})`, "Markdown"]);
+  assert.deepEqual(text("url"), [LINK.url, "URL"]);
+  assert.deepEqual(text("title"), [LINK.title, "title"]);
+  assert.deepEqual(text("reference"), ["octo/app#1", "reference"]);
+});
+
+test("the ref variant applies to branches and commits only", () => {
+  const link = (path) => ({ title: "t", url: url(path), displayText: "t" });
+  assert.deepEqual(renderLinkVariant(link("octo/app/tree/feat%2Fx"), "ref").text, "feat/x");
+  assert.equal(renderLinkVariant(link("octo/app/tree/main"), "ref").label, "branch");
+  assert.deepEqual(renderLinkVariant(link("octo/app/commit/abcdef1234"), "ref"), {
+    html: null,
+    text: "abcdef1234",
+    label: "SHA",
+  });
+  assert.equal(renderLinkVariant(link("octo/app/pull/1"), "ref"), null);
+});
+
+test("every variant has an id and label", () => {
+  assert.deepEqual(
+    LINK_VARIANTS.map((variant) => variant.id),
+    ["rich", "markdown", "url", "reference", "title", "ref"]
+  );
+  assert.ok(LINK_VARIANTS.every((variant) => variant.label));
+});
@@ -0,0 +1,101 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadShared } = require("./load-shared");
+
+const {
+  fuzzyMatch,
+  getFuzzyRanges,
+  FUZZY_SCORES,
+  parseQuery,
+  matchesQuery,
+  isRankedQuery,
+  scoreQuery,
+  getQueryHighlightRanges,
+  foldCaseInPlace,
+} = loadShared(
+  ["github-url.js", "format.js", "templates.js", "fuzzy.js", "query.js"],
+  [
+    "fuzzyMatch",
+    "getFuzzyRanges",
+    "FUZZY_SCORES",
+    "parseQuery",
+    "matchesQuery",
+    "isRankedQuery",
+    "scoreQuery",
+    "getQueryHighlightRanges",
+    "foldCaseInPlace",
+  ]
+);
+
+test("fuzzyMatch needs every character, in order", () => {
+  assert.deepEqual(fuzzyMatch("dup", "fix duplicate").positions, [4, 5, 6]);
+  assert.equal(fuzzyMatch("pud", "fix duplicate"), null);
+  assert.equal(fuzzyMatch("xyz", "abc"), null);
+  assert.equal(fuzzyMatch("", "abc"), null);
+});
+
+test("fuzzyMatch scores the shortest window ending at the first full match", () => {
+  const { score, positions } = fuzzyMatch("abc", "a xabc");
+  assert.deepEqual(positions, [3, 4, 5]);
+  // "a" follows "x", so no word-start bonus
+  assert.equal(score, 3 * FUZZY_SCORES.match + 2 * FUZZY_SCORES.consecutive);
+});
+
+test("word starts and consecutive runs score higher than gaps", () => {
+  const aligned = fuzzyMatch("dup", "fix duplicate").score;
+  const midWord = fuzzyMatch("upl", "fix duplicate").score;
+  const gapped = fuzzyMatch("dup", "fix dxuxp").score;
+  assert.equal(aligned - midWord, FUZZY_SCORES.boundary);
+  assert.ok(aligned > gapped, `${aligned} > ${gapped}`);
+  assert.ok(fuzzyMatch("ab", `a${" ".repeat(200)}b`).score >= 1);
+});
+
+test("getFuzzyRanges merges adjacent positions", () => {
+  assert.deepEqual(getFuzzyRanges([0, 1, 2, 5, 7, 8]), [[0, 3], [5, 6], [7, 9]]);
+  assert.deepEqual(getFuzzyRanges([]), []);
+});
+
+const ITEMS = [
+  { title: "Drop unused packages", url: "https://github.com/o/r/pull/1", number: "#1" },
+  { title: "Fix duplicate accounts", url: "https://github.com/o/r/pull/2", number: "#2" },
+  { title: "Update docs", url: "https://github.com/o/r/pull/3", number: "#3" },
+];
+
+function rank(text) {
+  const query = parseQuery(text, ITEMS, { fuzzy: true });
+  return ITEMS.filter((item) => matchesQuery(item, query))
+    .map((item) => ({ number: item.number, score: scoreQuery(item, query) }))
+    .sort((a, b) => b.score - a.score)
+    .map((entry) => entry.number);
+}
+
+test("fuzzy queries rank tight matches first", () => {
+  assert.ok(isRankedQuery(parseQuery("dup", ITEMS, { fuzzy: true })));
+  assert.ok(!isRankedQuery(parseQuery("dup", ITEMS)));
+  assert.deepEqual(rank("dup"), ["#2", "#1"]);
+  assert.deepEqual(rank("dup acct"), ["#2"]);
+});
+
+test("negated words and phrases stay exact in fuzzy mode", () => {
+  assert.deepEqual(rank("dup -accounts"), ["#1"]);
+  // "-dup" only drops titles containing "dup", not fuzzy matches
+  assert.deepEqual(rank("-dup"), ["#1", "#3"]);
+  const phrase = parseQuery('"dup"', ITEMS, { fuzzy: true });
+  assert.ok(!isRankedQuery(phrase));
+  assert.deepEqual(ITEMS.filter((item) => matchesQuery(item, phrase)).map((item) => item.number), ["#2"]);
+});
+
+test("fuzzy terms highlight every matched character", () => {
+  const query = parseQuery("dup acct", ITEMS, { fuzzy: true });
+  assert.deepEqual(getQueryHighlightRanges("Fix duplicate accounts", query), [[4, 7], [14, 17], [20, 21]]);
+});
+
+test("highlights stay on the right characters when lower-casing grows the text", () => {
+  // "İ".toLowerCase() is two characters long
+  const query = parseQuery("izmir", ITEMS, { fuzzy: true });
+  const text = "İİ İzmir";
+  assert.deepEqual(getQueryHighlightRanges(text, query), [[3, 8]]);
+  assert.equal(foldCaseInPlace(text), "ii izmir");
+});
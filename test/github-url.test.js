@@ -0,0 +1,76 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadShared } = require("./load-shared");
+
+const { parseGitHubUrl, getUrlRepo } = loadShared(["github-url.js"], ["parseGitHubUrl", "getUrlRepo"]);
+
+const parse = (href) => {
+  const parsed = parseGitHubUrl(href);
+  return parsed && [parsed.host, parsed.owner, parsed.repo, parsed.kind, parsed.id];
+};
+
+test("parseGitHubUrl reads owner, repo, kind and id", () => {
+  assert.deepEqual(parse("https://github.com/octo/app/pull/12/files"), ["github.com", "octo", "app", "pull", "12"]);
+  assert.deepEqual(parse("https://github.com/octo/app/issues/3#issuecomment-1"), [
+    "github.com",
+    "octo",
+    "app",
+    "issue",
+    "3",
+  ]);
+  assert.deepEqual(parse("https://ghe.local:8443/octo/app/discussions/9"), [
+    "ghe.local:8443",
+    "octo",
+    "app",
+    "discussion",
+    "9",
+  ]);
+  assert.deepEqual(parse("https://github.com/octo/app/actions/runs/77"), ["github.com", "octo", "app", "run", "77"]);
+  assert.deepEqual(parse("https://github.com/octo/app/commit/ABCDEF1234"), [
+    "github.com",
+    "octo",
+    "app",
+    "commit",
+    "ABCDEF1234",
+  ]);
+  assert.deepEqual(parse("/octo/app/milestone/2"), ["github.com", "octo", "app", "milestone", "2"]);
+});
+
+test("release and branch names are decoded, malformed escapes kept as they are", () => {
+  assert.deepEqual(parse("https://github.com/octo/app/releases/tag/v1.0%2Brc"), [
+    "github.com",
+    "octo",
+    "app",
+    "release",
+    "v1.0+rc",
+  ]);
+  assert.deepEqual(parse("https://github.com/octo/app/tree/feat%2Fx"), ["github.com", "octo", "app", "branch", "feat/x"]);
+  assert.deepEqual(parse("https://github.com/octo/app/tree/100%25-done%ZZ"), [
+    "github.com",
+    "octo",
+    "app",
+    "branch",
+    "100%25-done%ZZ",
+  ]);
+  assert.deepEqual(parse("https://github.com/octo/app/tree/%E0%A4%A"), [
+    "github.com",
+    "octo",
+    "app",
+    "branch",
+    "%E0%A4%A",
+  ]);
+});
+
+test("repository pages and non-repository paths", () => {
+  assert.deepEqual(parse("https://github.com/octo/app"), ["github.com", "octo", "app", "repo", null]);
+  assert.deepEqual(parse("https://github.com/octo/app/pulls"), ["github.com", "octo", "app", null, null]);
+  assert.deepEqual(parse("https://github.com/orgs/octo/projects"), ["github.com", "", "", null, null]);
+  assert.deepEqual(parse("https://github.com/octo"), ["github.com", "", "", null, null]);
+  assert.equal(parseGitHubUrl("http://[bad"), null);
+
+  assert.deepEqual(getUrlRepo("https://github.com/octo/app/pull/1"), { owner: "octo", repo: "app" });
+  assert.deepEqual(getUrlRepo("https://github.com/search?q=x"), { owner: "", repo: "" });
+  assert.deepEqual(getUrlRepo("http://[bad"), { owner: "", repo: "" });
+});
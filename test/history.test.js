@@ -0,0 +1,75 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadShared } = require("./load-shared");
+
+const { pruneHistory, isSameExtraction, searchHistory, HISTORY_MAX_BYTES } = loadShared(
+  ["history.js"],
+  ["pruneHistory", "isSameExtraction", "searchHistory", "HISTORY_MAX_BYTES"]
+);
+
+const DAY = 24 * 60 * 60 * 1000;
+const NOW = Date.UTC(2026, 0, 31);
+
+function entry(id, daysAgo, fields = {}) {
+  return {
+    id,
+    pageLabel: "Pull Requests",
+    repo: { owner: "octo", repo: "app" },
+    url: "https://github.com/octo/app/pulls",
+    savedAt: new Date(NOW - daysAgo * DAY).toISOString(),
+    items: [],
+    ...fields,
+  };
+}
+
+const ids = (entries) => entries.map((e) => e.id);
+
+test("pruneHistory keeps the newest entries up to the count cap", () => {
+  const entries = [entry("a", 0), entry("b", 1), entry("c", 2)];
+  assert.deepEqual(ids(pruneHistory(entries, { maxEntries: 2 }, NOW)), ["a", "b"]);
+  assert.deepEqual(ids(pruneHistory(entries, {}, NOW)), ["a", "b", "c"]);
+  assert.deepEqual(ids(pruneHistory(entries, { maxEntries: 0 }, NOW)), []);
+});
+
+test("pruneHistory drops entries past the age cap, 0 meaning none", () => {
+  const entries = [entry("a", 0), entry("b", 6.9), entry("c", 7.1), entry("d", 30)];
+  assert.deepEqual(ids(pruneHistory(entries, { maxAgeDays: 7 }, NOW)), ["a", "b"]);
+  assert.deepEqual(ids(pruneHistory(entries, { maxAgeDays: 0 }, NOW)), ["a", "b", "c", "d"]);
+  assert.deepEqual(ids(pruneHistory(entries, { maxAgeDays: 7, maxEntries: 1 }, NOW)), ["a"]);
+});
+
+test("pruneHistory drops the oldest entries beyond the storage budget, but never the newest", () => {
+  const big = (id) => entry(id, 0, { items: [{ title: "x".repeat(HISTORY_MAX_BYTES / 3), url: "u" }] });
+  assert.deepEqual(ids(pruneHistory([big("a"), big("b"), big("c"), big("d")], {}, NOW)), ["a", "b"]);
+
+  const huge = entry("a", 0, { items: [{ title: "x".repeat(HISTORY_MAX_BYTES + 1), url: "u" }] });
+  assert.deepEqual(ids(pruneHistory([huge, entry("b", 1)], {}, NOW)), ["a"]);
+});
+
+test("isSameExtraction compares the page URL and the item URLs in order", () => {
+  const items = [{ url: "https://github.com/octo/app/pull/1" }, { url: "https://github.com/octo/app/pull/2" }];
+  const saved = entry("a", 0, { items });
+  const page = (fields) => ({ url: saved.url, items, ...fields });
+
+  assert.ok(isSameExtraction(saved, page({ items: items.map((item) => ({ ...item, title: "new" })) })));
+  assert.ok(!isSameExtraction(saved, page({ url: "https://github.com/octo/app/issues" })));
+  assert.ok(!isSameExtraction(saved, page({ items: items.slice(1) })));
+  assert.ok(!isSameExtraction(saved, page({ items: [...items].reverse() })));
+});
+
+test("searchHistory matches label, owner/repo, URL and item titles, ignoring case", () => {
+  const entries = [
+    entry("labels", 0, { pageLabel: "Milestone v2", repo: null, url: "https://github.com/o/r/milestone/2" }),
+    entry("repo", 0, { repo: { owner: "acme", repo: "rocket" }, url: "https://github.com/acme/rocket/pulls" }),
+    entry("title", 0, { items: [{ title: "Fix Crash On Start", url: "u" }] }),
+  ];
+
+  assert.deepEqual(ids(searchHistory(entries, "MILESTONE v2")), ["labels"]);
+  assert.deepEqual(ids(searchHistory(entries, "acme/rocket")), ["repo"]);
+  assert.deepEqual(ids(searchHistory(entries, "milestone/2")), ["labels"]);
+  assert.deepEqual(ids(searchHistory(entries, "crash on")), ["title"]);
+  assert.deepEqual(ids(searchHistory(entries, "  ")), ["labels", "repo", "title"]);
+  assert.deepEqual(ids(searchHistory(entries, "nothing")), []);
+});
@@ -0,0 +1,45 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadShared } = require("./load-shared");
+
+const { normalizeHost, getHostMatchPattern, getHostMatchPatterns, isGitHubUrl } = loadShared(
+  ["hosts.js"],
+  ["normalizeHost", "getHostMatchPattern", "getHostMatchPatterns", "isGitHubUrl"]
+);
+
+test("normalizeHost turns a host or URL into its origin", () => {
+  assert.equal(normalizeHost("github.example.com"), "https://github.example.com");
+  assert.equal(normalizeHost("  GitHub.Example.COM  "), "https://github.example.com");
+  assert.equal(normalizeHost("https://github.example.com/org/repo/pulls?q=1"), "https://github.example.com");
+  assert.equal(normalizeHost("github.example.com/org/repo"), "https://github.example.com");
+  assert.equal(normalizeHost("http://ghe.local:8080/"), "http://ghe.local:8080");
+  assert.equal(normalizeHost("ghe.local:8443"), "https://ghe.local:8443");
+  // The default port is dropped, like the browser does
+  assert.equal(normalizeHost("https://ghe.local:443"), "https://ghe.local");
+});
+
+test("normalizeHost rejects empty, non-http and unparsable input", () => {
+  for (const input of ["", "   ", "ftp://ghe.local", "file:///etc/hosts", "https://", "http://exa mple.com", "a b"]) {
+    assert.equal(normalizeHost(input), null, JSON.stringify(input));
+  }
+});
+
+test("match patterns cover the whole host, without port or path", () => {
+  assert.equal(getHostMatchPattern("https://github.example.com"), "https://github.example.com/*");
+  assert.equal(getHostMatchPattern("http://ghe.local:8080"), "http://ghe.local/*");
+  assert.deepEqual(getHostMatchPatterns(["http://ghe.local:8080", "http://ghe.local:9090", "https://github.com"]), [
+    "http://ghe.local/*",
+    "https://github.com/*",
+  ]);
+});
+
+test("isGitHubUrl checks the exact origin", () => {
+  const origins = ["https://github.com", "https://ghe.local:8443"];
+  assert.ok(isGitHubUrl("https://github.com/octo/app/pull/1", origins));
+  assert.ok(isGitHubUrl("https://ghe.local:8443/o/r", origins));
+  assert.ok(!isGitHubUrl("https://ghe.local/o/r", origins));
+  assert.ok(!isGitHubUrl("http://github.com/o/r", origins));
+  assert.ok(!isGitHubUrl("not a url", origins));
+});
@@ -0,0 +1,24 @@
+"use strict";
+
+/**
+ * Loads src/shared scripts the way the extension's pages do — as classic
+ * scripts sharing one global scope — and returns the named globals. Each
+ * test file runs in its own process, so every file loads what it needs
+ * once, dependencies first. File names are relative to src/shared.
+ */
+
+const fs = require("node:fs");
+const path = require("node:path");
+const vm = require("node:vm");
+
+const SHARED_DIR = path.join(__dirname, "..", "src", "shared");
+
+function loadShared(files, names) {
+  for (const file of files) {
+    const filename = path.resolve(SHARED_DIR, file);
+    vm.runInThisContext(fs.readFileSync(filename, "utf8"), { filename });
+  }
+  return vm.runInThisContext(`({ ${names.join(", ")} })`);
+}
+
+module.exports = { loadShared };
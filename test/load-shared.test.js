@@ -0,0 +1,22 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const path = require("node:path");
+const { loadShared } = require("./load-shared");
+
+const FIXTURE = path.join(__dirname, "fixtures", "classic-script.js");
+
+const { FIXTURE_KINDS, describeKind } = loadShared([FIXTURE], ["FIXTURE_KINDS", "describeKind"]);
+
+test("loadShared exposes a classic script's functions and top-level constants", () => {
+  assert.equal(describeKind("pull"), "known pull");
+  assert.equal(describeKind("wiki"), "unknown");
+  // Scripts loaded earlier stay visible, like in a page
+  assert.deepEqual(loadShared([], ["describeKind"]), { describeKind });
+});
+
+test("values come from this realm, so deepEqual compares them structurally", () => {
+  assert.ok(FIXTURE_KINDS instanceof Array);
+  assert.deepEqual(FIXTURE_KINDS, ["pull", "issue"]);
+});
@@ -0,0 +1,133 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadShared } = require("./load-shared");
+
+const { parseQuery, matchesQuery, getQueryHighlightRanges } = loadShared(
+  ["github-url.js", "format.js", "templates.js", "fuzzy.js", "query.js"],
+  ["parseQuery", "matchesQuery", "getQueryHighlightRanges"]
+);
+
+const ITEMS = [
+  {
+    title: "Fix crash in parser",
+    url: "https://github.com/octo/app/pull/12",
+    number: "#12",
+    state: "merged",
+    labels: [{ name: "bug" }, { name: "good first issue" }],
+    author: "alice",
+  },
+  {
+    title: "feat(ui): add dark mode",
+    url: "https://github.com/octo/app/pull/40",
+    number: "#40",
+    state: "draft",
+    labels: [],
+    author: "bob",
+  },
+  {
+    title: "Add docs for the CLI",
+    url: "https://github.com/other/cli/issues/3",
+    number: "#3",
+    state: "open",
+    labels: [{ name: "docs" }],
+    author: "alice",
+  },
+];
+
+function filter(text) {
+  const query = parseQuery(text, ITEMS);
+  assert.equal(query.error, undefined, `unexpected error for ${text}`);
+  return ITEMS.filter((item) => matchesQuery(item, query)).map((item) => item.number);
+}
+
+test("plain words must all appear in the title or number", () => {
+  assert.deepEqual(filter("fix crash"), ["#12"]);
+  assert.deepEqual(filter("ADD"), ["#40", "#3"]);
+  assert.deepEqual(filter("40"), ["#40"]);
+  assert.deepEqual(filter(""), ["#12", "#40", "#3"]);
+});
+
+test("phrases and regexes", () => {
+  assert.deepEqual(filter('"crash in"'), ["#12"]);
+  assert.deepEqual(filter('"in crash"'), []);
+  assert.deepEqual(filter("/^feat(\\(.+\\))?:/"), ["#40"]);
+  assert.deepEqual(filter("/DOCS/"), ["#3"]);
+});
+
+test('quoted values unescape \\" and \\\\, regexes keep their escapes', () => {
+  const item = {
+    title: 'Say "hi" from C:\\tmp',
+    url: "https://github.com/octo/app/issues/5",
+    number: "#5",
+    labels: [{ name: 'needs "repro"' }],
+  };
+  const matches = (text) => matchesQuery(item, parseQuery(text));
+  assert.ok(matches('"say \\"hi\\""'));
+  assert.ok(matches('"c:\\\\tmp"'));
+  assert.ok(!matches('"say \\\\"'));
+  assert.ok(matches('label:"needs \\"repro\\""'));
+  assert.ok(matches("/\\x22hi\\x22/"));
+  assert.deepEqual(getQueryHighlightRanges(item.title, parseQuery('"\\"hi\\""')), [[4, 8]]);
+});
+
+test("is: and type: qualifiers", () => {
+  assert.deepEqual(filter("is:pr"), ["#12", "#40"]);
+  assert.deepEqual(filter("is:issue"), ["#3"]);
+  // Drafts count as open, as in GitHub's search
+  assert.deepEqual(filter("is:open"), ["#40", "#3"]);
+  assert.deepEqual(filter("is:merged"), ["#12"]);
+  assert.deepEqual(filter("type:issue"), ["#3"]);
+  assert.deepEqual(filter("type:pullrequest"), ["#12", "#40"]);
+});
+
+test("repo:, number:, label: and author: qualifiers", () => {
+  assert.deepEqual(filter("repo:octo/app"), ["#12", "#40"]);
+  assert.deepEqual(filter("repo:cli"), ["#3"]);
+  assert.deepEqual(filter("number:>10"), ["#12", "#40"]);
+  assert.deepEqual(filter("number:<=12"), ["#12", "#3"]);
+  assert.deepEqual(filter("number:10..20"), ["#12"]);
+  assert.deepEqual(filter("number:#3"), ["#3"]);
+  assert.deepEqual(filter('label:"good first issue"'), ["#12"]);
+  assert.deepEqual(filter("label:DOCS"), ["#3"]);
+  assert.deepEqual(filter("author:@alice"), ["#12", "#3"]);
+});
+
+test("negation works on words, phrases and qualifiers", () => {
+  assert.deepEqual(filter("-fix"), ["#40", "#3"]);
+  assert.deepEqual(filter('-"dark mode"'), ["#12", "#3"]);
+  assert.deepEqual(filter("-is:pr"), ["#3"]);
+  assert.deepEqual(filter("is:pr -author:bob"), ["#12"]);
+  // A lone dash is a word, not an empty exclusion
+  assert.deepEqual(filter("- fix"), []);
+});
+
+test("unknown prefixes stay plain text", () => {
+  assert.deepEqual(filter("feat(ui):"), ["#40"]);
+});
+
+test("invalid queries report an error", () => {
+  assert.match(parseQuery("is:nope").error, /^Unknown is:nope/);
+  assert.match(parseQuery("type:wiki").error, /^Unknown type:wiki/);
+  assert.match(parseQuery("number:abc").error, /^number: takes/);
+  assert.equal(parseQuery('"open').error, "Missing closing quote");
+  assert.equal(parseQuery("/open").error, "Missing closing / in regex");
+  assert.equal(parseQuery("//").error, "Empty regex //");
+  assert.equal(parseQuery("label:").error, "label: needs a value");
+  assert.match(parseQuery("/(/").error, /^Invalid regex \/\(\//);
+});
+
+test("label: and author: are rejected on lists without that metadata", () => {
+  const bare = [{ title: "x", url: "https://github.com/o/r/pull/1" }];
+  assert.equal(parseQuery("label:bug", bare).error, "label: can't match — this list has no labels");
+  assert.equal(parseQuery("author:al", bare).error, "author: can't match — this list has no authors");
+  assert.equal(parseQuery("label:bug").error, undefined);
+});
+
+test("highlight ranges are sorted and merged, negated terms don't mark", () => {
+  const ranges = (text, query) => getQueryHighlightRanges(text, parseQuery(query));
+  assert.deepEqual(ranges("Fix crash in parser", "crash fix"), [[0, 3], [4, 9]]);
+  assert.deepEqual(ranges("Fix crash in parser", "cra crash"), [[4, 9]]);
+  assert.deepEqual(ranges("Fix crash in parser", "-fix is:pr"), []);
+});
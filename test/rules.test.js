@@ -0,0 +1,186 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadShared } = require("./load-shared");
+
+// Selector checks parse through a DocumentFragment. Node has no DOM, so
+// this stands in for the browser's parser: it rejects unbalanced brackets
+// and a dangling combinator, which is all these tests rely on.
+globalThis.document = {
+  createDocumentFragment: () => ({
+    querySelector(selector) {
+      const depth = { "[": 0, "(": 0 };
+      for (const ch of selector) {
+        if (ch === "[" || ch === "(") depth[ch]++;
+        if (ch === "]" && --depth["["] < 0) throw new SyntaxError(selector);
+        if (ch === ")" && --depth["("] < 0) throw new SyntaxError(selector);
+      }
+      if (depth["["] || depth["("] || /[>+~]\s*$/.test(selector)) throw new SyntaxError(selector);
+      return null;
+    },
+  }),
+};
+
+const {
+  BUILTIN_RULES,
+  validateRule,
+  validateRules,
+  parseRulesJson,
+  formatRulesJson,
+  mergeRules,
+  findPageRule,
+} = loadShared(
+  ["rules.js"],
+  [
+    "BUILTIN_RULES",
+    "validateRule",
+    "validateRules",
+    "parseRulesJson",
+    "formatRulesJson",
+    "mergeRules",
+    "findPageRule",
+  ]
+);
+
+const listRule = (overrides = {}) => ({
+  id: "myList",
+  pages: [{ urlPattern: "/my-list\\b", label: "My List" }],
+  title: ["a.title"],
+  ...overrides,
+});
+
+test("built-in rules are valid", () => {
+  assert.equal(validateRules(BUILTIN_RULES), null);
+});
+
+test("validateRule accepts list, record and label-only rules", () => {
+  assert.equal(validateRule(listRule()), null);
+  assert.equal(
+    validateRule(
+      listRule({
+        hrefPattern: "/item/\\d+",
+        containers: [".row"],
+        fields: {
+          author: { type: "login", selector: ["a.author"] },
+          state: { type: "state", map: { ".icon-open": "open" } },
+          linked: { type: "links", selector: ["a.ref"], hrefPattern: "/issues/\\d+" },
+        },
+      })
+    ),
+    null
+  );
+  const record = { id: "single", record: ["h1"], fields: { n: { type: "number", selector: ["b"] } } };
+  assert.equal(validateRule(record), null);
+  assert.equal(validateRule({ id: "labelOnly", pages: [{ urlPattern: "^/x", label: "X" }] }), null);
+});
+
+test("validateRule explains what is wrong with a rule", () => {
+  const cases = [
+    [[], "must be an object."],
+    [
+      listRule({ titel: ["a"] }),
+      'unknown key "titel" (expected id, pages, title, record, hrefPattern, containers, fields).',
+    ],
+    [listRule({ id: "1st" }), "id must start with a letter and use only letters, digits, - and _."],
+    [listRule({ pages: {} }), "pages must be an array."],
+    [listRule({ pages: [{ label: "X" }] }), "pages[0].urlPattern is required."],
+    [listRule({ pages: [{ urlPattern: "x", label: " " }] }), "pages[0].label is required."],
+    [{ id: "empty" }, "needs pages to match, title selectors to extract, or both."],
+    [listRule({ record: ["h1"] }), "use either title (a list of items) or record (a single item), not both."],
+    [listRule({ title: [] }), "title must be a non-empty array of CSS selectors."],
+    [listRule({ title: ["a.ok", "a[href"] }), "title[1] is not a valid CSS selector."],
+    [listRule({ containers: ["li >"] }), "containers[0] is not a valid CSS selector."],
+    [listRule({ hrefPattern: 5 }), "hrefPattern must be a string."],
+    [listRule({ fields: [] }), "fields must be an object."],
+    [
+      listRule({ fields: { a: { type: "text", selector: ["b"] } } }),
+      "fields need containers to read them from.",
+    ],
+  ];
+  for (const [rule, message] of cases) assert.equal(validateRule(rule), message);
+
+  assert.match(
+    validateRule(listRule({ pages: [{ urlPattern: "(", label: "X" }] })),
+    /^pages\[0\]\.urlPattern: Invalid regular expression/
+  );
+  assert.match(validateRule(listRule({ hrefPattern: "[" })), /^hrefPattern: Invalid regular expression/);
+});
+
+test("validateRule checks each field spec", () => {
+  const withField = (spec) => validateRule(listRule({ containers: [".row"], fields: { f: spec } }));
+
+  assert.equal(withField("login"), "fields.f must be an object.");
+  assert.equal(
+    withField({ type: "html" }),
+    "fields.f.type must be one of: text, number, login, logins, labels, state, dates, links."
+  );
+  assert.equal(withField({ type: "text" }), "fields.f.selector must be a non-empty array of CSS selectors.");
+  assert.equal(
+    withField({ type: "text", selector: ["b"], attribute: 1 }),
+    "fields.f.attribute must be a string."
+  );
+  assert.equal(withField({ type: "state", map: [] }), "fields.f.map must map selectors to states.");
+  assert.equal(
+    withField({ type: "state", map: { "svg[": "open" } }),
+    'fields.f.map: "svg[" is not a valid CSS selector.'
+  );
+  assert.equal(
+    withField({ type: "links", selector: ["a"], hrefPattern: 1 }),
+    "fields.f.hrefPattern: must be a string"
+  );
+  assert.match(
+    withField({ type: "links", selector: ["a"], hrefPattern: "(" }),
+    /^fields\.f\.hrefPattern: Invalid regular expression/
+  );
+});
+
+test("validateRules names the failing rule and catches duplicate ids", () => {
+  assert.equal(validateRules({}), "Rules must be a JSON array.");
+  assert.equal(
+    validateRules([listRule(), listRule({ id: "bad id" })]),
+    'Rule 2 ("bad id"): id must start with a letter and use only letters, digits, - and _.'
+  );
+  assert.equal(validateRules([listRule(), null]), "Rule 2: must be an object.");
+  assert.equal(validateRules([listRule(), listRule()]), 'Rule 2 ("myList"): duplicate id.');
+});
+
+test("parseRulesJson round-trips and reports JSON and rule errors", () => {
+  assert.deepEqual(parseRulesJson("  \n"), { rules: [] });
+  assert.deepEqual(parseRulesJson(formatRulesJson([listRule()])), { rules: [listRule()] });
+  assert.match(parseRulesJson("[{").error, /^Invalid JSON: /);
+  assert.deepEqual(parseRulesJson('{"id": "x"}'), { error: "Rules must be a JSON array." });
+  assert.deepEqual(parseRulesJson('[{"id": "x"}]'), {
+    error: 'Rule 1 ("x"): needs pages to match, title selectors to extract, or both.',
+  });
+});
+
+test("mergeRules puts new rules first, overrides built-ins in place and skips invalid ones", () => {
+  const override = {
+    id: "issueOrPr",
+    pages: [{ urlPattern: "/pulls\\b", label: "Mine" }],
+    title: ["a.mine"],
+  };
+  const merged = mergeRules([listRule(), override, { id: "broken" }]);
+
+  assert.equal(merged.length, BUILTIN_RULES.length + 1);
+  assert.equal(merged[0].id, "myList");
+  assert.deepEqual(
+    merged.slice(1).map((rule) => rule.id),
+    BUILTIN_RULES.map((rule) => rule.id)
+  );
+  assert.equal(merged.find((rule) => rule.id === "issueOrPr"), override);
+  assert.ok(!merged.some((rule) => rule.id === "broken"));
+});
+
+test("findPageRule returns the first matching rule and its label", () => {
+  const page = (location, rules = BUILTIN_RULES) => {
+    const match = findPageRule(rules, location);
+    return match && [match.rule.id, match.label];
+  };
+  assert.deepEqual(page("/octo/app/pull/12"), ["detail", "Pull Request"]);
+  assert.deepEqual(page("/octo/app/issues?q=is%3Aopen"), ["issueOrPr", "Issues"]);
+  assert.deepEqual(page("/octo/app/milestones"), ["milestonesList", "Milestones"]);
+  assert.equal(page("/octo/app"), null);
+  assert.deepEqual(page("/octo/my-list", mergeRules([listRule()])), ["myList", "My List"]);
+});
@@ -0,0 +1,186 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadShared } = require("./load-shared");
+
+const { buildCsv, buildTsv, buildXlsx, buildZip, crc32, getSheetName } = loadShared(
+  ["github-url.js", "format.js", "templates.js", "spreadsheet.js"],
+  ["buildCsv", "buildTsv", "buildXlsx", "buildZip", "crc32", "getSheetName"]
+);
+
+const ITEMS = [
+  {
+    title: 'Fix "quoted", comma title',
+    url: "https://github.com/octo/app/pull/12",
+    number: "#12",
+    labels: [{ name: "bug" }, { name: "ui" }],
+  },
+  { title: "=HYPERLINK(\"http://evil\")", url: "https://github.com/octo/app/issues/7", number: "#7" },
+  { title: "line one\nline two", url: "https://github.com/octo/app/issues/8", number: "#8" },
+];
+
+// ---- CSV / TSV ----
+
+test("CSV quotes delimiters, quotes, line breaks and edge whitespace", () => {
+  const csv = buildCsv(
+    [
+      ITEMS[0],
+      ITEMS[2],
+      { title: " padded ", url: "https://github.com/octo/app/issues/9", number: "#9" },
+    ],
+    { columns: ["title", "number"] }
+  );
+  assert.equal(
+    csv,
+    'Title,Number\r\n"Fix ""quoted"", comma title",12\r\n"line one\nline two",8\r\n" padded ",9\r\n'
+  );
+});
+
+test("CSV honours the delimiter and the BOM", () => {
+  const csv = buildCsv([ITEMS[0]], { columns: ["number", "labels"], delimiter: ";", bom: true });
+  assert.equal(csv, "\uFEFFNumber;Labels\r\n12;bug, ui\r\n");
+  assert.equal(buildCsv([], { columns: ["title"], delimiter: "\t" }), "Title\r\n");
+});
+
+test("CSV neutralizes cells a spreadsheet would run as a formula", () => {
+  const rows = ["=1+1", "+cmd", "-2", "@SUM(A1)", "\tx", "plain - text"].map((title, i) => ({
+    title,
+    url: `https://github.com/o/r/issues/${i + 1}`,
+  }));
+  const lines = buildCsv(rows, { columns: ["title"] }).split("\r\n");
+  assert.deepEqual(lines.slice(1, -1), ["'=1+1", "'+cmd", "'-2", "'@SUM(A1)", "'\tx", "plain - text"]);
+  assert.equal(buildCsv([ITEMS[1]], { columns: ["title"] }).split("\r\n")[1], '"\'=HYPERLINK(""http://evil"")"');
+});
+
+test("TSV links titles with HYPERLINK and flattens tabs and line breaks", () => {
+  const tsv = buildTsv([ITEMS[0], ITEMS[2]], { columns: ["title", "number"] });
+  assert.equal(
+    tsv,
+    [
+      "Title\tNumber",
+      '=HYPERLINK("https://github.com/octo/app/pull/12","Fix ""quoted"", comma title")\t12',
+      '=HYPERLINK("https://github.com/octo/app/issues/8","line one line two")\t8',
+    ].join("\n")
+  );
+  const neutralized = buildTsv([{ title: "x", url: "https://github.com/o/r/issues/1", milestone: "=A1" }], {
+    columns: ["milestone"],
+  });
+  assert.equal(neutralized, "Milestone\n'=A1");
+});
+
+test("TSV separates HYPERLINK arguments with ; when that is the CSV delimiter", () => {
+  const tsv = (delimiter) => buildTsv([ITEMS[0]], { columns: ["title"], delimiter }).split("\n")[1];
+  assert.equal(tsv(";"), '=HYPERLINK("https://github.com/octo/app/pull/12";"Fix ""quoted"", comma title")');
+  assert.equal(tsv(","), '=HYPERLINK("https://github.com/octo/app/pull/12","Fix ""quoted"", comma title")');
+  assert.equal(tsv("\t"), tsv(","));
+});
+
+// ---- XLSX / ZIP ----
+
+/**
+ * A minimal reader for stored (uncompressed) ZIP archives: walks the
+ * central directory from the end record and checks every local header,
+ * size and CRC against it. Throws on anything a real reader would reject.
+ */
+function readStoredZip(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const decoder = new TextDecoder("utf-8", { fatal: true });
+
+  const eocd = bytes.length - 22;
+  assert.equal(view.getUint32(eocd, true), 0x06054b50, "end of central directory signature");
+  const count = view.getUint16(eocd + 10, true);
+  assert.equal(view.getUint16(eocd + 8, true), count, "entries on this disk");
+  const centralSize = view.getUint32(eocd + 12, true);
+  const centralOffset = view.getUint32(eocd + 16, true);
+  assert.equal(centralOffset + centralSize, eocd, "central directory ends at the end record");
+
+  const files = new Map();
+  let at = centralOffset;
+  for (let i = 0; i < count; i++) {
+    assert.equal(view.getUint32(at, true), 0x02014b50, "central directory entry signature");
+    const method = view.getUint16(at + 10, true);
+    const crc = view.getUint32(at + 16, true);
+    const compressed = view.getUint32(at + 20, true);
+    const size = view.getUint32(at + 24, true);
+    const nameLength = view.getUint16(at + 28, true);
+    const extraLength = view.getUint16(at + 30, true);
+    const commentLength = view.getUint16(at + 32, true);
+    const localOffset = view.getUint32(at + 42, true);
+    const name = decoder.decode(bytes.subarray(at + 46, at + 46 + nameLength));
+    at += 46 + nameLength + extraLength + commentLength;
+
+    assert.equal(method, 0, `${name} is stored`);
+    assert.equal(compressed, size, `${name} sizes`);
+    assert.equal(view.getUint32(localOffset, true), 0x04034b50, `${name} local header signature`);
+    assert.equal(view.getUint32(localOffset + 14, true), crc, `${name} local CRC`);
+    assert.equal(view.getUint32(localOffset + 22, true), size, `${name} local size`);
+    const localNameLength = view.getUint16(localOffset + 26, true);
+    const localExtraLength = view.getUint16(localOffset + 28, true);
+    assert.equal(decoder.decode(bytes.subarray(localOffset + 30, localOffset + 30 + localNameLength)), name);
+
+    const start = localOffset + 30 + localNameLength + localExtraLength;
+    const data = bytes.subarray(start, start + size);
+    assert.equal(crc32(data), crc, `${name} CRC matches its data`);
+    files.set(name, decoder.decode(data));
+  }
+  assert.equal(at, eocd, "central directory size");
+  return files;
+}
+
+test("crc32 matches the standard check value", () => {
+  assert.equal(crc32(new TextEncoder().encode("123456789")), 0xcbf43926);
+  assert.equal(crc32(new Uint8Array(0)), 0);
+});
+
+test("buildZip writes a readable stored archive", () => {
+  const encoder = new TextEncoder();
+  const zip = buildZip(
+    [
+      { name: "a.txt", data: encoder.encode("hello") },
+      { name: "dir/ü.txt", data: encoder.encode("") },
+    ],
+    new Date(2024, 0, 2, 3, 4, 6)
+  );
+  const files = readStoredZip(zip);
+  assert.deepEqual([...files.keys()], ["a.txt", "dir/ü.txt"]);
+  assert.equal(files.get("a.txt"), "hello");
+  assert.equal(files.get("dir/ü.txt"), "");
+});
+
+test("XLSX output is a valid zip with the workbook parts", () => {
+  const xlsx = buildXlsx(ITEMS, { columns: ["title", "number", "labels"], sheetName: "octo/app: open" });
+  assert.ok(xlsx instanceof Uint8Array);
+
+  const files = readStoredZip(xlsx);
+  for (const name of [
+    "[Content_Types].xml",
+    "_rels/.rels",
+    "xl/workbook.xml",
+    "xl/_rels/workbook.xml.rels",
+    "xl/styles.xml",
+    "xl/worksheets/sheet1.xml",
+    "xl/worksheets/_rels/sheet1.xml.rels",
+  ]) {
+    assert.ok(files.has(name), `missing ${name}`);
+  }
+
+  assert.match(files.get("xl/workbook.xml"), /<sheet name="octo app open"/);
+  const sheet = files.get("xl/worksheets/sheet1.xml");
+  assert.match(sheet, /Fix &quot;quoted&quot;, comma title/);
+  assert.match(sheet, /<c r="B2"[^>]*><v>12<\/v><\/c>/);
+  // Inline strings are never evaluated, so formula-like titles stay verbatim
+  assert.match(sheet, /t="inlineStr"><is><t xml:space="preserve">=HYPERLINK\(&quot;http:\/\/evil&quot;\)</);
+  assert.doesNotMatch(sheet, /<f>/);
+  assert.match(sheet, /<hyperlink ref="A2" r:id="rId1"\/>/);
+  assert.match(
+    files.get("xl/worksheets/_rels/sheet1.xml.rels"),
+    /Id="rId1"[^>]*Target="https:\/\/github.com\/octo\/app\/pull\/12"/
+  );
+});
+
+test("getSheetName drops characters Excel rejects and caps the length", () => {
+  assert.equal(getSheetName("a/b:c?d*e[f]"), "a b c d e f");
+  assert.equal(getSheetName("x".repeat(40)).length, 31);
+  assert.equal(getSheetName("///"), "Items");
+});
@@ -0,0 +1,102 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadShared } = require("./load-shared");
+
+const { createTemplate, validateTemplate, renderTemplate, unescapeSeparator, hasHtmlVariant } = loadShared(
+  ["github-url.js", "format.js", "templates.js"],
+  ["createTemplate", "validateTemplate", "renderTemplate", "unescapeSeparator", "hasHtmlVariant"]
+);
+
+function template(overrides = {}) {
+  return { ...createTemplate(), name: "Test", ...overrides };
+}
+
+const ITEMS = [
+  {
+    title: "Fix <crash> & \"hang\"",
+    url: "https://github.com/octo/app/pull/12",
+    number: "#12",
+    labels: [{ name: "bug" }, { name: "ui" }],
+    author: "alice",
+  },
+  { title: "Add docs", url: "https://github.com/octo/app/issues/3", number: "#3" },
+];
+
+test("validateTemplate requires a name and a plain-text item line", () => {
+  assert.equal(validateTemplate(template()), null);
+  assert.equal(validateTemplate(template({ name: "  " })), "Give the template a name.");
+  assert.equal(
+    validateTemplate(template({ text: { header: "", item: " ", separator: "", footer: "" } })),
+    "The plain-text item line is required."
+  );
+});
+
+test("validateTemplate rejects unknown placeholders per part", () => {
+  const text = (parts) =>
+    template({ text: { header: "", item: "{{title}}", separator: "", footer: "", ...parts } });
+
+  assert.equal(
+    validateTemplate(text({ item: "{{ title }} {{nope}}" })),
+    "Unknown placeholder {{nope}} in the plain text item."
+  );
+  // Header and footer only see page fields
+  assert.equal(
+    validateTemplate(text({ header: "{{count}} {{title}}" })),
+    "Unknown placeholder {{title}} in the plain text header."
+  );
+  assert.equal(
+    validateTemplate(text({ footer: "{{date}} {{index}}" })),
+    "Unknown placeholder {{index}} in the plain text footer."
+  );
+  assert.equal(
+    validateTemplate(template({ html: { header: "", item: "<b>{{titel}}</b>", separator: "", footer: "" } })),
+    "Unknown placeholder {{titel}} in the HTML item."
+  );
+  // Single braces aren't placeholders
+  assert.equal(validateTemplate(text({ item: "{title} {{url}}" })), null);
+});
+
+test("renderTemplate fills item and page placeholders", () => {
+  const tpl = template({
+    text: {
+      header: "{{count}} from {{owner}}/{{repo}}",
+      item: "{{index}}. {{title}} {{number}} [{{labels}}] by {{author}} ({{type}} {{num}})",
+      separator: "\\n",
+      footer: "{{page}}",
+    },
+  });
+  const output = renderTemplate(tpl, ITEMS, { context: { owner: "octo", repo: "app", pageLabel: "Pulls" } });
+  assert.equal(
+    output,
+    [
+      "2 from octo/app",
+      '1. Fix <crash> & "hang" #12 [bug, ui] by alice (PR 12)',
+      "2. Add docs #3 [] by  (Issue 3)",
+      "Pulls",
+    ].join("\n")
+  );
+
+  const withoutNumbers = renderTemplate(tpl, ITEMS.slice(1), { withNumbers: false });
+  assert.equal(withoutNumbers, "1 from /\n1. Add docs  [] by  (Issue 3)");
+});
+
+test("renderTemplate escapes values in the HTML variant and leaves unknown placeholders", () => {
+  const tpl = template();
+  assert.ok(hasHtmlVariant(tpl));
+  assert.equal(
+    renderTemplate(tpl, ITEMS.slice(0, 1), { html: true }),
+    '<ul><li><a href="https://github.com/octo/app/pull/12">Fix &lt;crash&gt; &amp; &quot;hang&quot; #12</a></li></ul>'
+  );
+
+  const loose = template({ text: { header: "", item: "{{title}} {{nope}}", separator: " | ", footer: "" } });
+  assert.equal(renderTemplate(loose, ITEMS), "Fix <crash> & \"hang\" {{nope}} | Add docs {{nope}}");
+  assert.ok(!hasHtmlVariant(template({ html: { header: "<ul>", item: " ", separator: "", footer: "" } })));
+});
+
+test("unescapeSeparator expands \\n, \\t and \\\\ only", () => {
+  assert.equal(unescapeSeparator("\\n"), "\n");
+  assert.equal(unescapeSeparator("a\\tb\\\\n\\x"), "a\tb\\n\\x");
+  assert.equal(unescapeSeparator(undefined), "");
+});